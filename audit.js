@@ -0,0 +1,188 @@
+/*
+// Change log: who changed what & when, kept in a rotating text file
+*/
+
+const FS = require('fs');
+
+const AUDIT_MAX_SIZE = 1000000;	// Bytes before the log file is rotated
+const AUDIT_FILES    = 5;		// Log files kept, e.g. scp.log, scp.log.1 ... scp.log.4
+const AUDIT_FLUSH    = 1000;	// ms that lines are collected before they're written
+
+module.exports = {
+
+	// The log files, oldest first
+	auditFiles() {
+
+		let files = [];
+		for (let n = AUDIT_FILES - 1; n > 0; n--) {
+			files.push(`${this.config.auditFile}.${n}`);
+		}
+		files.push(this.config.auditFile);
+		return files.filter(file => FS.existsSync(file));
+	},
+
+
+	// A value as it reads in the log
+	auditValue(scpCmd, val) {
+
+		if (val === undefined) return '?';
+		if (this.isDb(scpCmd)) return this.formatDb(val);
+		if (scpCmd.Address.endsWith('/On')) return (val == 0) ? 'OFF' : 'ON';
+		return `${val}`;
+	},
+
+
+	// Record a change the console has confirmed, if it's one we're logging. key is the parameter/channel, as for fades
+	auditChange(cmd, iX, iY, oldVal, key) {
+
+		if (!this.config.auditLog || !this.config.auditFile) return;
+
+		let command = cmd.cmd.Command.toLowerCase();
+		let notify  = cmd.cmd.Status.toUpperCase() == 'NOTIFY';
+
+		if (cmd.scp.Type == 'scene') {
+			if (command != 'ssrecall_ex' && !(command == 'sscurrent_ex' && notify)) return; // Recalls, not our questions about the current scene
+		} else if (command != 'set') {
+			return;
+		}
+		if (!this.addressMatches(cmd.scp.Address, this.config.auditFilter)) return;
+
+		// A fade's steps aren't logged, just where it started & where it ended up
+		if (!notify && this.fades[key] !== undefined) {
+			if (!(key in this.auditFades)) this.auditFades[key] = oldVal;
+			return;
+		}
+		if (key in this.auditFades) {
+			oldVal = this.auditFades[key];
+			delete this.auditFades[key];
+		}
+		if (cmd.scp.Type != 'scene' && oldVal === cmd.cmd.Val) return;
+
+		let source = notify ? 'Console' : 'Companion';
+		let what, where;
+
+		if (cmd.scp.Type == 'scene') {
+			let title = this.sceneList[this.sceneKey(cmd.cmd.Val, (this.model == 'TF') ? iY : undefined)];
+			what  = `Scene recall  ${cmd.cmd.Val}${(this.model == 'TF') ? iY.toUpperCase() : ''}${title ? ` – ${title}` : ''}`;
+			where = cmd.scp.Address;
+		} else {
+			let parts = cmd.scp.Address.slice(cmd.scp.Address.indexOf('/') + 1).split('/'); // e.g. ['InCh', 'ToMix', 'Level']
+			let param = parts.slice(1).join('/');
+
+			if (cmd.scp.Y > 1) {
+				let sendType = this.sendChannelType(parts[1]);
+				param += sendType ? ` to ${this.channelLabel(sendType, iY)}` : ` #${iY}`;
+			}
+			where = `${cmd.scp.Address} ${iX} ${iY}`;
+			what  = `${(cmd.scp.X > 1) ? this.channelLabel(parts[0], iX) : parts[0]}  ${param}  ${this.auditValue(cmd.scp, oldVal)} → ${this.auditValue(cmd.scp, cmd.cmd.Val)}`;
+		}
+
+		let now   = new Date();
+		let stamp = new Date(now - now.getTimezoneOffset() * 60000).toISOString().replace('T', ' ').slice(0, 19); // Local time
+		let entry = `${stamp}  ${source}  ${what}  [${where}]\n`;
+
+		this.auditQueue.push(entry);
+		if (this.auditTimer == undefined && !this.auditWriting) {
+			this.auditTimer = setTimeout(() => this.flushAudit(), AUDIT_FLUSH);
+		}
+	},
+
+
+	// Write the lines collected so far, without holding up replies from the console
+	flushAudit() {
+
+		let file = this.config.auditFile;
+		let text = this.auditQueue.join('');
+
+		delete this.auditTimer;
+		this.auditQueue   = [];
+		this.auditWriting = true;
+
+		FS.stat(file, (err, stats) => {
+			try {
+				if (!err && stats.size >= AUDIT_MAX_SIZE) this.rotateAudit();
+			} catch (err) {
+				this.auditError(err);
+			}
+			FS.appendFile(file, text, (err) => {
+				this.auditWriting = false;
+				if (err) {
+					this.auditError(err);
+				} else {
+					this.auditFailed = false;
+				}
+				if (this.auditQueue.length > 0 && this.auditTimer == undefined) {
+					this.auditTimer = setTimeout(() => this.flushAudit(), AUDIT_FLUSH);
+				}
+			});
+		});
+	},
+
+
+	// Log a failure to write the change log, once until it works again
+	auditError(err) {
+		if (!this.auditFailed) {
+			this.log('error', `Couldn't write the change log to ${this.config.auditFile}: ${err.message}`);
+		}
+		this.auditFailed = true;
+	},
+
+
+	// Write anything still waiting, e.g. when the instance is removed
+	stopAudit() {
+
+		if (this.auditTimer !== undefined) {
+			clearTimeout(this.auditTimer);
+			delete this.auditTimer;
+		}
+		if (this.auditQueue.length == 0 || !this.config.auditFile) return;
+
+		try {
+			FS.appendFileSync(this.config.auditFile, this.auditQueue.join(''));
+		} catch (err) {
+			this.auditError(err);
+		}
+		this.auditQueue = [];
+	},
+
+
+	// Start a new log file, keeping a few old ones
+	rotateAudit() {
+
+		let file = this.config.auditFile;
+
+		for (let n = AUDIT_FILES - 1; n > 0; n--) {
+			let from = (n == 1) ? file : `${file}.${n - 1}`;
+			if (FS.existsSync(from)) {
+				FS.renameSync(from, `${file}.${n}`);
+			}
+		}
+	},
+
+
+	// Write the whole change log to one file, optionally only the parameters matching some address prefixes
+	exportAudit(fname, filter) {
+
+		if (!this.config.auditFile) {
+			this.log('warn', 'No change log file is set in the instance config');
+			return;
+		}
+
+		try {
+			let lines = this.auditFiles()
+				.map(file => FS.readFileSync(file, 'utf8'))
+				.concat(this.auditQueue) // Lines not written yet
+				.join('')
+				.split('\n')
+				.filter(line => {
+					let found = line.match(/\[(\S+)[^\]]*\]$/);
+					return found !== null && this.addressMatches(found[1], filter);
+				});
+
+			FS.writeFileSync(fname, lines.map(line => `${line}\n`).join(''));
+			this.log('info', `Exported ${lines.length} change log entries to ${fname}`);
+		} catch (err) {
+			this.log('error', `Couldn't export the change log to ${fname}: ${err.message}`);
+		}
+	}
+}
@@ -0,0 +1,116 @@
+/*
+// Keepalive, automatic reconnect and connection health
+*/
+
+const KEEPALIVE_TICK     = 1000;	// ms between health checks
+const KEEPALIVE_INTERVAL = 5;		// ticks between keepalive requests
+const KEEPALIVE_TIMEOUT  = 12000;	// ms without a reply before the connection is considered lost
+const RECONNECT_MIN      = 1000;	// First reconnect delay in ms, doubled on each failure...
+const RECONNECT_MAX      = 30000;	// ...up to this
+
+module.exports = {
+
+	// The socket has connected
+	connectionUp() {
+
+		this.consoleConnected = true;
+		this.lastReply        = Date.now();
+		this.reconnectDelay   = RECONNECT_MIN;
+
+		this.stopReplyTicker();
+		this.startKeepalive();
+		this.checkFeedbacks('connected');
+	},
+
+
+	// The console stopped answering, or the socket closed. Try again after a while
+	connectionLost(reason) {
+
+		if (this.reconnectTimer !== undefined) return; // Already waiting to reconnect
+		if (this.reconnectDelay == undefined) {
+			this.reconnectDelay = RECONNECT_MIN;
+		}
+
+		this.consoleConnected = false;
+		this.stopKeepalive();
+		this.startReplyTicker();
+		this.checkFeedbacks('connected');
+
+		this.status(this.STATUS_ERROR, reason);
+		this.log('warn', `Connection lost (${reason}), reconnecting in ${this.reconnectDelay / 1000}s`);
+		this.failoverLost();
+
+		if (this.socket !== undefined) {
+			this.socket.destroy();
+			delete this.socket;
+		}
+
+		this.reconnectTimer = setTimeout(() => {
+			delete this.reconnectTimer;
+			this.init_tcp();
+		}, this.reconnectDelay);
+
+		this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX);
+	},
+
+
+	// Ask the console for something every few seconds, and check it's still answering
+	startKeepalive() {
+
+		let ticks = 0;
+
+		this.stopKeepalive();
+		this.keepaliveTimer = setInterval(() => {
+			let sinceReply = Date.now() - this.lastReply;
+
+			this.setVariable('last_reply', Math.floor(sinceReply / 1000));
+
+			if (sinceReply > KEEPALIVE_TIMEOUT) {
+				this.connectionLost('No reply from console');
+			} else if (++ticks % KEEPALIVE_INTERVAL == 0) {
+				this.getConsoleInfo();
+			}
+		}, KEEPALIVE_TICK);
+	},
+
+
+	// Keep last_reply counting up while the console is gone, until it's back
+	startReplyTicker() {
+
+		if (this.replyTicker !== undefined || !this.lastReply) return;
+
+		this.replyTicker = setInterval(() => {
+			this.setVariable('last_reply', Math.floor((Date.now() - this.lastReply) / 1000));
+		}, KEEPALIVE_TICK);
+	},
+
+
+	// Stop counting, e.g. when the keepalive takes over again
+	stopReplyTicker() {
+		if (this.replyTicker !== undefined) {
+			clearInterval(this.replyTicker);
+			delete this.replyTicker;
+		}
+	},
+
+
+	// Stop checking the connection
+	stopKeepalive() {
+		if (this.keepaliveTimer !== undefined) {
+			clearInterval(this.keepaliveTimer);
+			delete this.keepaliveTimer;
+		}
+	},
+
+
+	// Stop everything to do with the connection, including any pending reconnect
+	stopConnection() {
+
+		this.stopKeepalive();
+		if (this.reconnectTimer !== undefined) {
+			clearTimeout(this.reconnectTimer);
+			delete this.reconnectTimer;
+		}
+		this.consoleConnected = false;
+	}
+}
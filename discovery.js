@@ -0,0 +1,111 @@
+/*
+// Read the parameter list from the console itself (prminfo/scninfo), cached to disk
+*/
+
+const FS   = require('fs');
+const OS   = require('os');
+const PATH = require('path');
+
+const DISCOVERY_TIMEOUT = 3000;	// ms to wait for each reply
+const SCENE_INDEX_BASE  = 1000;	// Scene parameters are numbered from here, like the bundled files
+
+module.exports = {
+
+	// Where the parameter list read from a console model is kept
+	cacheFile(model) {
+		return PATH.join(OS.homedir(), '.yamaha-scp', `${model.replace('/', '-')} SCP Parameters.txt`);
+	},
+
+
+	// The parameter list last read from a console model, if there is one
+	readCachedParams(model) {
+
+		if (this.discoveredParams[model] !== undefined) {
+			return this.discoveredParams[model];
+		}
+
+		try {
+			return FS.readFileSync(this.cacheFile(model));
+		} catch (err) {
+			return; // Never read, so use the bundled file
+		}
+	},
+
+
+	// Ask the console for each parameter in turn, starting with prminfo 0
+	startDiscovery() {
+
+		this.discovery = {cmd: 'prminfo', idx: 0, lines: []};
+		this.log('info', 'Reading parameter list from console');
+		this.nextDiscovery();
+	},
+
+
+	// Ask for the next parameter, and give up if it doesn't come
+	nextDiscovery() {
+
+		clearTimeout(this.discoveryTimer);
+		this.discoveryTimer = setTimeout(() => {
+			this.log('warn', 'Console stopped answering while reading its parameter list, using the saved list');
+			this.stopDiscovery();
+		}, DISCOVERY_TIMEOUT);
+
+		this.sendCmd(`${this.discovery.cmd} ${this.discovery.idx}`);
+	},
+
+
+	// Stop reading the parameter list
+	stopDiscovery() {
+		clearTimeout(this.discoveryTimer);
+		delete this.discoveryTimer;
+		delete this.discovery;
+	},
+
+
+	// A prminfo or scninfo reply. An error means we've gone past the last one
+	discoveryReply(status, line) {
+
+		if (this.discovery == undefined) return;
+
+		if (status == 'OK') {
+			if (this.discovery.cmd == 'scninfo') {
+				line = line.replace(/^(\S+ scninfo )\d+/, `$1${SCENE_INDEX_BASE + this.discovery.idx}`);
+			}
+			this.discovery.lines.push(line);
+			this.discovery.idx++;
+		} else if (this.discovery.cmd == 'prminfo') {
+			this.discovery.cmd = 'scninfo';
+			this.discovery.idx = 0;
+		} else {
+			this.discoveryDone();
+			return;
+		}
+
+		this.nextDiscovery();
+	},
+
+
+	// Save the parameter list and start using it
+	discoveryDone() {
+
+		let lines = this.discovery.lines;
+		let fname = this.cacheFile(this.model);
+
+		this.stopDiscovery();
+		this.log('info', `Read ${lines.length} parameters from console`);
+
+		if (lines.length == 0) return;
+
+		this.discoveredParams[this.model] = lines.join('\x0A');
+		try {
+			FS.mkdirSync(PATH.dirname(fname), {recursive: true});
+			FS.writeFileSync(fname, this.discoveredParams[this.model]);
+		} catch (err) {
+			this.log('warn', `Couldn't save parameter list to ${fname}: ${err.message}`);
+		}
+
+		this.loadCommands();
+		this.actions();
+		this.initVariables();
+	}
+}
@@ -0,0 +1,91 @@
+/*
+// Timed fades of level parameters
+*/
+
+const FADE_INTERVAL = 50;	// ms between steps
+const FADE_FLOOR_DB = -60;	// Fades to or from -inf start or end here, so the fade is heard over its whole time
+
+module.exports = {
+
+	// Create a Fade Action from a level parameter's Action
+	createFadeAction(scpCmd, scpAction) {
+
+		let fadeAction = JSON.parse(JSON.stringify(scpAction));
+
+		fadeAction.label = `${scpAction.label} (Fade)`;
+		fadeAction.options.push(
+			{type: 'number', label: 'Time (s)', id: 'Time', min: 0, max: 600, step: 0.1, default: 3, required: true, range: false},
+			{type: 'dropdown', label: 'Curve', id: 'Curve', default: 'linear', choices: [
+				{id: 'linear', label: 'Linear (dB)'},
+				{id: 'scurve', label: 'S-Curve'}
+			]}
+		);
+
+		return fadeAction;
+	},
+
+
+	// Fade a level from its current value to the target over the chosen time
+	fadeAction(scpAction, opt) {
+
+		let scpCommand = this.findCommand(scpAction);
+		if (scpCommand == undefined) return;
+
+		let target = this.rawToDb(scpCommand, this.dbToRaw(scpCommand, opt.Val));
+		if (isNaN(target)) {
+			this.log('warn', `FADE: '${opt.Val}' is not a valid dB value for ${scpCommand.Address}`);
+			return;
+		}
+
+		// Stay on the channel a My Channel selector points at now, even if it changes during the fade
+		if (opt.X !== undefined) {
+			opt = {...opt, X: this.resolveChannel(opt.X)};
+		}
+
+		this.getValue(scpAction, opt, (curVal) => {
+			let [optX, optY] = this.resolveXY(opt);
+			let origin = this.cmdOrigin;
+			let key   = this.fadeKey(scpAction, opt);
+			let start = (curVal == -Infinity) ? FADE_FLOOR_DB : curVal;
+			let end   = (target == -Infinity) ? FADE_FLOOR_DB : target;
+			let steps = Math.max(1, Math.round(opt.Time * 1000 / FADE_INTERVAL));
+			let step  = 0;
+
+			this.stopFade(key);
+			this.fades[key] = setInterval(() => {
+				let pos = ++step / steps;
+				let val;
+
+				if (step >= steps) {
+					val = target;
+					this.stopFade(key);
+				} else {
+					if (opt.Curve == 'scurve') {
+						pos = (1 - Math.cos(Math.PI * pos)) / 2;
+					}
+					val = this.rawToDb(scpCommand, this.dbToRaw(scpCommand, start + (end - start) * pos));
+				}
+
+				this.sendCmd(this.parseCmd('set', scpAction, {...opt, Val: val}), origin);
+				this.dataStore[scpAction][optX][optY] = val;
+			}, FADE_INTERVAL);
+		});
+	},
+
+
+	// Cancel any fade running on a parameter/channel
+	stopFade(key) {
+		if (this.fades[key] !== undefined) {
+			clearInterval(this.fades[key]);
+			delete this.fades[key];
+		}
+	},
+
+
+	// Cancel all running fades
+	stopAllFades() {
+		for (let key in this.fades) {
+			this.stopFade(key);
+		}
+	}
+}
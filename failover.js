@@ -0,0 +1,159 @@
+/*
+// Primary/backup consoles: failover, sending changes to both, and spotting when they differ
+*/
+
+var tcp = require('../../tcp');
+
+const MIRROR_RETRY = 5000;	// ms between attempts to connect to the other console
+const MIRROR_CMDS  = ['set', 'get', 'ssrecall_ex', 'sscurrent_ex'];	// Commands also sent to the other console
+
+module.exports = {
+
+	// The console that isn't the active one
+	otherConsole() {
+		return (this.activeConsole == 'backup') ? 'primary' : 'backup';
+	},
+
+
+	// IP address of the primary or backup console
+	hostFor(which) {
+		return (which == 'backup') ? this.config.backup : this.config.host;
+	},
+
+
+	// Make the primary or backup console the active one, and connect to it
+	switchConsole(which) {
+
+		if (which == 'other') {
+			which = this.otherConsole();
+		}
+		if (which == this.activeConsole) return;
+		if (!this.hostFor(which)) {
+			this.log('warn', `No IP address set for the ${which} console`);
+			return;
+		}
+
+		this.activeConsole = which;
+		this.log('info', `Switching to the ${which} console at ${this.hostFor(which)}`);
+		this.setVariable('active_console', (which == 'backup') ? 'Backup' : 'Primary');
+		this.checkFeedbacks('consoleActive');
+		this.init_tcp();
+	},
+
+
+	// The active console has stopped answering: should we move to the other one?
+	failoverLost() {
+
+		if (this.config.failover != 'auto' || !this.config.backup || this.config.virtual) return;
+
+		this.activeConsole = this.otherConsole();
+		this.log('warn', `Failing over to the ${this.activeConsole} console at ${this.hostFor(this.activeConsole)}`);
+		this.setVariable('active_console', (this.activeConsole == 'backup') ? 'Backup' : 'Primary');
+		this.checkFeedbacks('consoleActive');
+	},
+
+
+	// Connect to the console that isn't active, to send it the same changes & watch its values
+	startMirror() {
+
+		this.stopMirror();
+		if (!this.config.backupMirror || !this.config.backup || this.config.virtual) return;
+
+		let receivebuffer = '';
+		let socket = this.mirrorSocket = new tcp(this.hostFor(this.otherConsole()), 49280, {reconnect: false});
+
+		let retry = () => {
+			if (socket !== this.mirrorSocket) return;
+			socket.destroy();
+			delete this.mirrorSocket;
+			this.mirrorTimer = setTimeout(() => this.startMirror(), MIRROR_RETRY);
+		};
+
+		socket.on('error', (err) => {
+			this.log('debug', `${this.otherConsole()} console: ${err.message}`);
+			retry();
+		});
+		socket.on('end', retry);
+
+		socket.on('connect', () => {
+			this.log('info', `Connected to the ${this.otherConsole()} console, sending changes to both`);
+			this.backupStore = {};
+			this.pollScp(); // So there's something to compare
+		});
+
+		socket.on('data', (chunk) => {
+			let lines = (receivebuffer + chunk).split("\x0A");
+			receivebuffer = lines.pop();
+			lines.forEach(line => this.mirrorLine(line.replace(/\r$/, '')));
+		});
+	},
+
+
+	// Stop talking to the other console
+	stopMirror() {
+
+		clearTimeout(this.mirrorTimer);
+		delete this.mirrorTimer;
+		if (this.mirrorSocket !== undefined) {
+			this.mirrorSocket.destroy();
+			delete this.mirrorSocket;
+		}
+		this.backupStore = {};
+		this.checkFeedbacks('consoleDiverged');
+	},
+
+
+	// Send a parameter command to the other console as well
+	mirrorCmd(cmd) {
+
+		if (this.mirrorSocket !== undefined && this.mirrorSocket.connected && MIRROR_CMDS.includes(cmd.split(' ')[0])) {
+			this.mirrorSocket.send(`${cmd}\n`);
+		}
+	},
+
+
+	// A value from the other console, kept like the dataStore so the two can be compared
+	mirrorLine(line) {
+
+		let tokens = this.parseLine(line);
+		if (tokens.length < 4 || !['OK', 'NOTIFY'].includes(tokens[0].toUpperCase())) return;
+
+		if (tokens[1] == 'sscurrent_ex' || tokens[1] == 'ssrecall_ex') {
+			this.backupStore.scene = `${tokens[2]} ${tokens[3]}`;
+		} else if (tokens[1] == 'get' || tokens[1] == 'set') {
+			let scpCmd = this.scpCommands.find(cmd => cmd.Address == tokens[2]);
+			if (scpCmd == undefined || tokens[5] == undefined) return;
+
+			let scpAction = this.scpId(scpCmd);
+			let iX = parseInt(tokens[3]) + 1;
+			let iY = parseInt(tokens[4]) + 1;
+
+			this.backupStore[scpAction] = this.backupStore[scpAction] || {};
+			this.backupStore[scpAction][iX] = this.backupStore[scpAction][iX] || {};
+			this.backupStore[scpAction][iX][iY] = this.isDb(scpCmd) ? this.rawToDb(scpCmd, tokens[5]) : tokens[5];
+		} else {
+			return;
+		}
+		this.checkFeedbacks('consoleDiverged');
+	},
+
+
+	// Do the two consoles have different values for any parameter we know on both?
+	consolesDiverged() {
+
+		for (let scpAction in this.backupStore) {
+			if (scpAction == 'scene') {
+				if (this.currentScene !== undefined && this.backupStore.scene != `${this.sceneAddress(this.currentScene.bank)} ${this.currentScene.num}`) return true;
+				continue;
+			}
+			for (let x in this.backupStore[scpAction]) {
+				for (let y in this.backupStore[scpAction][x]) {
+					let store = this.dataStore[scpAction];
+					let val   = (store !== undefined && store[x] !== undefined) ? store[x][y] : undefined;
+					if (val !== undefined && val != this.backupStore[scpAction][x][y]) return true;
+				}
+			}
+		}
+		return false;
+	}
+}
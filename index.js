@@ -7,9 +7,31 @@ var tcp 			= require('../../tcp');
 var instance_skel 	= require('../../instance_skel');
 var scpNames 		= require('./scpNames.json');
 var upgrade			= require('./upgrade');
+var fades			= require('./fades');
+var variables		= require('./variables');
+var sync			= require('./sync');
+var connection		= require('./connection');
+var models			= require('./models');
+var discovery		= require('./discovery');
+var macros			= require('./macros');
+var sequences		= require('./sequences');
+var snapshots		= require('./snapshots');
+var scenes			= require('./scenes');
+var virtual			= require('./virtual');
+var multi			= require('./multi');
+var selectors		= require('./selectors');
+var names			= require('./names');
+var failover		= require('./failover');
+var queue			= require('./queue');
+var showlock		= require('./showlock');
+var raw				= require('./raw');
+var audit			= require('./audit');
 
 const SCP_PARAMS 	= ['Ok', 'Command', 'Index', 'Address', 'X', 'Y', 'Min', 'Max', 'Default', 'Unit', 'Type', 'UI', 'RW', 'Scale'];
 const SCP_VALS 		= ['Status', 'Command', 'Address', 'X', 'Y', 'Val', 'TxtVal'];
+const SCP_NEG_INF 	= -32768;	// "-inf" on level parameters
+const SCP_LVL_FLOOR = -13800;	// Lowest level above -inf (-138.00 dB)
+const VALUE_TIMEOUT = 5000;		// ms to wait for a value getValue() asked the console for
 
 
 // Instance Setup
@@ -20,16 +42,53 @@ class instance extends instance_skel {
 
 		Object.assign(this, {
 			...upgrade,
+			...fades,
+			...variables,
+			...sync,
+			...connection,
+			...models,
+			...discovery,
+			...macros,
+			...sequences,
+			...snapshots,
+			...scenes,
+			...virtual,
+			...multi,
+			...selectors,
+			...names,
+			...failover,
+			...queue,
+			...showlock,
+			...raw,
+			...audit,
 		});
 		
 		this.scpCommands   = [];
+		this.commandIds    = new Map();	// scpCommands by Action/Feedback id, see findCommand()
 		this.nameCommands  = []; 	// Commands which have a name field
 		this.colorCommands = [];	// Commands which have a color field
 		this.scpPresets    = [];
 		this.productName   = '';
 		this.macroRec      = false;
-		this.macroCount    = 0;
+		this.seqRec        = false;
+		this.seqTimers     = {};	// Running sequences, by id
 		this.dataStore     = {};
+		this.confirmedVals = {};	// Values as the console last confirmed them, by parameter/channel. The dataStore may be ahead of these
+		this.pendingVals   = {};	// Callbacks waiting for a value to arrive from the console
+		this.fades         = {};	// Running fade timers, by parameter/channel
+		this.varCommands   = {};	// Commands which have a variable for each channel
+		this.syncQueue     = [];	// gets still to be sent while synchronising
+		this.consoleConnected = false;
+		this.lastReply     = 0;
+		this.discoveredParams = {};	// Parameter lists read from the console, by model
+		this.sceneList     = {};	// Scene titles read from the console, by sceneKey()
+		this.activeConsole = 'primary';
+		this.backupStore   = {};	// Values from the other console when sending to both, like the dataStore
+		this.sendQueue     = [];	// Commands waiting to be sent, see queueCmd()
+		this.awaitingReply = [];	// Commands sent that the console hasn't answered yet
+		this.rawValues     = {};	// Latest replies to raw commands, by rawKey()
+		this.auditQueue    = [];	// Change log lines waiting to be written
+		this.auditFades    = {};	// Values before a fade, by parameter/channel, so a fade is logged once when it ends
 
 		this.addUpgradeScripts();
 	}
@@ -44,9 +103,24 @@ class instance extends instance_skel {
 	// Module deletion
 	destroy() {
 	
+		this.stopAllFades();
+		this.stopSync();
+		this.stopConnection();
+		this.stopReplyTicker();
+		this.stopDiscovery();
+		this.stopSequence();
+		this.stopSnapshotCapture();
+		this.stopSceneList();
+		this.stopNames();
+		this.stopMirror();
+		this.stopQueue();
+		this.disarmLock();
+
 		if (this.socket !== undefined) {
 			this.socket.destroy();
 		}
+		this.stopVirtualConsole();
+		this.stopAudit();
 
 		this.log('debug', `destroyed ${this.id}`);
 	}
@@ -64,6 +138,32 @@ class instance extends instance_skel {
 				default: 	'192.168.0.128',
 				regex: 		this.REGEX_IP
 			},
+			{
+				type: 		'textinput',
+				id: 		'backup',
+				label: 		'IP Address of Backup Console (optional)',
+				width: 		6,
+				default: 	'',
+				regex: 		this.REGEX_IP
+			},
+			{
+				type: 		'dropdown',
+				id: 		'failover',
+				label: 		'Failover',
+				width: 		6,
+				default: 	'manual',
+				choices: [
+					{id: 'manual', label: 'Only with the "Switch Console" action'},
+					{id: 'auto', label: 'Automatic when the console stops answering'}
+				]
+			},
+			{
+				type: 		'checkbox',
+				id: 		'backupMirror',
+				label: 		'Send every change to both consoles',
+				width: 		6,
+				default: 	false
+			},
 			{
 				type: 		'dropdown',
 				id: 		'model',
@@ -74,6 +174,90 @@ class instance extends instance_skel {
 					{id: 'CL/QL', label: 'CL/QL Console'},
 					{id: 'TF', label: 'TF Console'}
 				]
+			},
+			{
+				type: 		'checkbox',
+				id: 		'mirror',
+				label: 		'Sync all parameters on connect & scene recall',
+				width: 		6,
+				default: 	false
+			},
+			{
+				type: 		'checkbox',
+				id: 		'discover',
+				label: 		'Read parameter list from console',
+				width: 		6,
+				default: 	false
+			},
+			{
+				type: 		'checkbox',
+				id: 		'virtual',
+				label: 		'Use built-in virtual console (offline programming, ignores IP Address)',
+				width: 		6,
+				default: 	false
+			},
+			{
+				type: 		'number',
+				id: 		'rate',
+				label: 		'Max commands per second to the console (0 = no limit)',
+				width: 		6,
+				min: 		0,
+				max: 		1000,
+				default: 	200,
+				required: 	false
+			},
+			{
+				type: 		'textinput',
+				id: 		'lockParams',
+				label: 		'Show Lock protects (address prefixes, e.g. MIXER:Lib/Scene, */Patch, MuteMaster)',
+				width: 		12,
+				default: 	'MIXER:Lib/Scene, scene_, */Patch, MuteMaster/On'
+			},
+			{
+				type: 		'dropdown',
+				id: 		'lockMode',
+				label: 		'When Show Lock is on',
+				width: 		6,
+				default: 	'block',
+				choices: [
+					{id: 'block', label: 'Block protected actions'},
+					{id: 'confirm', label: 'Press protected buttons twice to confirm'}
+				]
+			},
+			{
+				type: 		'checkbox',
+				id: 		'auditLog',
+				label: 		'Record a change log',
+				width: 		6,
+				default: 	false
+			},
+			{
+				type: 		'textinput',
+				id: 		'auditFile',
+				label: 		'Change log file (full path)',
+				width: 		6,
+				default: 	''
+			},
+			{
+				type: 		'textinput',
+				id: 		'auditFilter',
+				label: 		'Only log these parameters (address prefixes, e.g. */Fader/On, MuteMaster, blank for all)',
+				width: 		12,
+				default: 	''
+			},
+			{
+				type: 		'textinput',
+				id: 		'groups',
+				label: 		'Channel Groups for "Multiple" actions (e.g. Drums=1-8; Vocals=20,22,24)',
+				width: 		12,
+				default: 	''
+			},
+			{
+				type: 		'textinput',
+				id: 		'selectors',
+				label: 		'More "My Channel" selectors (names, comma separated, add new ones at the end)',
+				width: 		12,
+				default: 	''
 			}
 		]
 		for(let i = 1; i <= 4; i++){
@@ -90,7 +274,7 @@ class instance extends instance_skel {
 				label: 		`Channel #${i}`,
 				width:		2,
 				min: 		1,
-				max: 		72,
+				max: 		this.maxChannels(),
 				default: 	1,
 				required: 	false
 			})
@@ -102,33 +286,40 @@ class instance extends instance_skel {
 	// Change in Configuration
 	updateConfig(config) {
 		
-		let fname = '';
-		const FS  = require("fs");
-		
-		this.config = config;
-		
-		if (this.config.model == 'CL/QL') {
-			fname = 'CL5 SCP Parameters-1.txt';
-		}
-		else {
-			fname = 'TF5 SCP Parameters-1.txt';
+		this.config      = config;
+		this.model       = config.model;	// Until the console tells us what it is
+		this.productName = '';
+		this.sceneList   = {};
+		delete this.currentScene;
+		if (!config.backup) {
+			this.activeConsole = 'primary';
 		}
+		
+		this.loadCommands();
+		this.newConsole();
+	}
 
-		// Read the DataFile
-		let data = FS.readFileSync(`${__dirname}/${fname}`);
-		this.scpCommands = this.parseData(data, SCP_PARAMS);
 
-		this.scpCommands.sort((a, b) => {
-			let acmd = a.Address.slice(a.Address.indexOf("/") + 1);
-			let bcmd = b.Address.slice(b.Address.indexOf("/") + 1);
-			return acmd.toLowerCase().localeCompare(bcmd.toLowerCase());
-		})
+	// Action/Feedback id for a parameter, from its SCP address (e.g. scp_MIXER_Current_InCh_Fader_On), so it doesn't 
+	// change when the parameter files do. Only letters, numbers & _ as Companion uses ':' to separate the instance
+	scpId(scpCmd) {
+		return 'scp_' + scpCmd.Address.replace(/[^A-Za-z0-9]/g, '_');
+	}
 
-		for (let i = 0; i < 4; i++) {
-			scpNames.chNames[i] = {id: `-${i+1}`, label: this.config[`myChName${(i+1)}`]};
-		}
-		
-		this.newConsole();
+
+	// The parameter for an Action/Feedback id
+	findCommand(scpAction) {
+		return this.commandIds.get(scpAction);
+	}
+
+
+	// Load the parameters for the console model, limited to what the console has
+	loadCommands() {
+
+		this.scpCommands   = this.applyModelLimits(this.readParamFile(this.model, this.config.discover));
+		this.commandIds    = new Map(this.scpCommands.map(cmd => [this.scpId(cmd), cmd]));
+		this.nameCommands  = this.scpCommands.filter(cmd => cmd.Address.endsWith('Name')).map(cmd => this.scpId(cmd));
+		this.colorCommands = this.scpCommands.filter(cmd => cmd.Address.endsWith('Color')).map(cmd => this.scpId(cmd));
 	}
 
 
@@ -138,8 +329,63 @@ class instance extends instance_skel {
 		this.log('info', `Device model= ${this.config.model}`);
 		
 		this.actions(); // Re-do the actions once the console is chosen
+		this.initVariables();
 		this.presets();
-		this.init_tcp();
+
+		if (this.config.virtual) {
+			this.startVirtualConsole(() => this.init_tcp());
+		} else {
+			this.stopVirtualConsole();
+			this.init_tcp();
+		}
+	}
+
+
+	// Read & sort the parameter file for a console model, or the list read from the console if asked & we have one.
+	// asSent leaves the values as the console reports them, without filling in the dB units
+	readParamFile(model, discovered, asSent) {
+
+		let fname = '';
+		let data;
+		const FS  = require("fs");
+
+		if (discovered) {
+			data = this.readCachedParams(model);
+		}
+
+		if (data == undefined) {
+			if (model == 'CL/QL') {
+				fname = 'CL5 SCP Parameters-1.txt';
+			}
+			else {
+				fname = 'TF5 SCP Parameters-1.txt';
+			}
+
+			// Read the DataFile
+			data = FS.readFileSync(`${__dirname}/${fname}`);
+		}
+		let scpCommands = this.parseData(data, SCP_PARAMS);
+
+		for (let cmd of (asSent ? [] : scpCommands)) {
+			// The CL/QL files leave Unit & Scale blank, but levels & HA gain are in 1/100 dB, and dynamics thresholds in 1/10 dB
+			if (cmd.Type == 'integer' && cmd.Unit == '') {
+				if (cmd.Min == SCP_NEG_INF || cmd.Address.endsWith('HA/Gain')) {
+					cmd.Unit  = 'dB';
+					cmd.Scale = 100;
+				} else if (cmd.Address.endsWith('Threshold')) {
+					cmd.Unit  = 'dB';
+					cmd.Scale = 10;
+				}
+			}
+		}
+
+		scpCommands.sort((a, b) => {
+			let acmd = a.Address.slice(a.Address.indexOf("/") + 1);
+			let bcmd = b.Address.slice(b.Address.indexOf("/") + 1);
+			return acmd.toLowerCase().localeCompare(bcmd.toLowerCase());
+		})
+
+		return scpCommands;
 	}
 
 
@@ -151,30 +397,14 @@ class instance extends instance_skel {
 		const lines = data.toString().split("\x0A");
 		
 		for (let i = 0; i < lines.length; i++){
-			// I'm not going to even try to explain this next line,
-			// but it basically pulls out the space-separated values, except for spaces those that are inside quotes!
-			line = lines[i].match(/(?:[^\s"]+|"[^"]*")+/g)
-			if (line !== null && (['OK','NOTIFY'].indexOf(line[0].toUpperCase()) !== -1)) {
+			line = this.parseLine(lines[i]);
+			if (line.length > 0 && (['OK','OKM','NOTIFY'].indexOf(line[0].toUpperCase()) !== -1)) {
 				let scpCommand = {};
 				
 				for (var j = 0; j < line.length; j++){
-					scpCommand[params[j]] = line[j].replace(/"/g,'');  // Get rid of any double quotes around the strings
-				}
-				if (['GET','SSCURRENT_EX'].indexOf(line[1].toUpperCase()) === -1) {
-					cmds.push(scpCommand); // Ignore the GET confirmations...
-				}
-
-				if (params === SCP_PARAMS) {
-					let cmdArr = undefined;
-					switch(scpCommand.Address.slice(-4)) {
-						case 'Name':
-							cmdArr = this.nameCommands;
-							break;
-						case 'olor':
-							cmdArr = this.colorCommands;
-					}
-					if (cmdArr !== undefined) cmdArr.push('scp_' + scpCommand.Index);
+					scpCommand[params[j]] = line[j];
 				}
+				cmds.push(scpCommand);
 			}		
 		}
 		return cmds
@@ -183,7 +413,7 @@ class instance extends instance_skel {
 
 	// Get info from a connected console
 	getConsoleInfo() {
-		this.socket.send(`devinfo productname\n`);
+		this.sendCmd('devinfo productname');
 	}
 
 
@@ -191,17 +421,21 @@ class instance extends instance_skel {
 	init_tcp() {
 		
 		let receivebuffer  = '';
-		let receivedLines  = [];
-		let receivedcmds   = [];
-		let foundCmd	   = {};
 		
 		if (this.socket !== undefined) {
 			this.socket.destroy();
 			delete this.socket;
 		}
+		this.pendingVals = {};
+		this.stopQueue();
+		this.stopSync();
+		this.stopConnection();
+		this.stopDiscovery();
+		this.stopSceneList();
+		this.startMirror();
 
-		if (this.config.host) {
-			this.socket = new tcp(this.config.host, 49280);
+		if (this.consoleHost()) {
+			let socket = this.socket = new tcp(this.consoleHost(), 49280, {reconnect: false}); // We reconnect ourselves, see connectionLost()
 
 			this.socket.on('status_change', (status, message) => {
 				this.status(status, message);
@@ -210,60 +444,152 @@ class instance extends instance_skel {
 			this.socket.on('error', (err) => {
 				this.status(this.STATUS_ERROR, err);
 				this.log('error', `Network error: ${err.message}`);
+				if (socket === this.socket) {
+					this.connectionLost(err.message);
+				}
+			});
+
+			this.socket.on('end', () => {
+				if (socket === this.socket) {
+					this.connectionLost('Connection closed by console');
+				}
 			});
 
 			this.socket.on('connect', () => {
 				this.status(this.STATUS_OK);
 				this.log('info', `Connected!`);
+				this.connectionUp();
 				this.getConsoleInfo();
 				this.pollScp();
+				this.startSceneList();
+				if (this.config.mirror) {
+					this.startSync();
+				}
 			});
 
 			this.socket.on('data', (chunk) => {
 				receivebuffer += chunk;
+				this.lastReply = Date.now();
 				
-				receivedLines = receivebuffer.split("\x0A");	// Split by line break
-
+				let receivedLines = receivebuffer.split("\x0A");	// Split by line break
+				receivebuffer = receivedLines.pop();			// Carry any partial line over to the next chunk
 
-				for(let line of receivedLines){
+				for (let line of receivedLines) {
+					line = line.replace(/\r$/, '');
 					if (line.length == 0) {
 						continue;
 					} 
 
 					this.log('debug', `Received from device: '${line}'`);
+					this.processLine(line);
+				}
+			});
+		}
+	}
 
-					if (line.indexOf('OK devinfo productname') !== -1) {
-					
-						this.productName = line.slice(receivebuffer.lastIndexOf(" "));
-						this.log('info', `Device found: ${this.productName}`);
-					
-					} else {
-					
-						receivedcmds = this.parseData(line, SCP_VALS); // Break out the parameters
-						
-						for (let i=0; i < receivedcmds.length; i++) {
-							foundCmd = this.scpCommands.find(cmd => cmd.Address == receivedcmds[i].Address.slice(0,cmd.Address.length)); // Find which command
-
-							if (foundCmd !== undefined) {
-									this.addToDataStore({scp: foundCmd, cmd: receivedcmds[i]})
-									this.addMacro({scp: foundCmd, cmd: receivedcmds[i]});
-									this.checkFeedbacks();							
-							} else {
-							
-								this.log('debug', `Unknown command received: '${receivedcmds[i].Address}'`);
-							
-							}
-						}
+
+
+	// Handle one complete line from the console
+	processLine(line) {
+
+		let tokens = this.parseLine(line);
+		if (tokens.length == 0) return;
+
+		let status = tokens[0].toUpperCase();
+		let sent;
+
+		if (['OK', 'OKM', 'ERROR', 'NG'].includes(status)) {
+			sent = this.replyTo();
+		}
+		this.rawReply(status, tokens, sent);
+
+		switch(status) {
+			case 'OK':
+			case 'OKM':
+			case 'NOTIFY':
+				break;
+			case 'ERROR':
+			case 'NG':
+				if (tokens[1] == 'prminfo' || tokens[1] == 'scninfo') {
+					this.discoveryReply(status, line);
+					return;
+				}
+				if (tokens[1] == 'ssinfo_ex') {
+					this.log('debug', `No scene info: '${line}'`); // Empty scene memories while reading the scene list
+					return;
+				}
+				if (sent !== undefined) {
+					this.dropPending(sent.cmd);
+					this.log('warn', `Console replied '${tokens.slice(1).join(' ')}' to '${sent.cmd}' from ${sent.source}`);
+				} else {
+					this.log('warn', `Console replied ${status} to '${tokens.slice(1).join(' ')}'`);
+				}
+				return;
+			default:
+				this.log('debug', `Unrecognized reply from console: '${line}'`);
+				return;
+		}
+
+		switch(tokens[1]) {
+			case 'devinfo':
+				if (tokens[2] == 'productname' && tokens[3] !== this.productName) {
+					this.productName = tokens[3];
+					this.log('info', `Device found: ${this.productName}`);
+					this.setVariable('product_name', this.productName);
+					this.consoleDetected();
+					if (this.config.discover) {
+						this.startDiscovery();
 					}
-				}				
-				
-				receivebuffer = '';	// Clear the buffer
-			
-			});
+				}
+				return;
+
+			case 'prminfo':
+			case 'scninfo':
+				this.discoveryReply('OK', line);
+				return;
+
+			case 'ssinfo_ex':
+				this.updateSceneName(tokens);
+				return;
+		}
+
+		let receivedCmd = {};
+		for (let j = 0; j < tokens.length && j < SCP_VALS.length; j++) {
+			receivedCmd[SCP_VALS[j]] = tokens[j];
+		}
+		if (receivedCmd.Address == undefined) return;
+
+		// Find which command. Scene addresses on the TF have the bank on the end
+		let foundCmd = this.scpCommands.find(cmd => cmd.Address == receivedCmd.Address) || 
+			this.scpCommands.find(cmd => cmd.Type == 'scene' && receivedCmd.Address.startsWith(cmd.Address));
+
+		if (foundCmd !== undefined) {
+			this.addToDataStore({scp: foundCmd, cmd: receivedCmd})
+			if (['GET','SSCURRENT_EX'].indexOf(receivedCmd.Command.toUpperCase()) === -1) {
+				this.addMacro({scp: foundCmd, cmd: receivedCmd}); // Don't record the GET confirmations...
+				this.addSequenceStep({scp: foundCmd, cmd: receivedCmd});
+			}
+			this.checkFeedbacks();
+		} else {
+			this.log('debug', `Reply for unsupported parameter: '${receivedCmd.Address}'`);
 		}
 	}
 
 
+	// Split a line into its space-separated values, keeping quoted strings (which may contain \" escapes) together
+	parseLine(line) {
+
+		let tokens = [];
+		let value;
+		const re = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+
+		while ((value = re.exec(line)) !== null) {
+			tokens.push((value[1] !== undefined) ? value[1].replace(/\\(.)/g, '$1') : value[2]);
+		}
+
+		return tokens;
+	}
+
 
 	// Create single Action/Feedback
 	createAction(scpCmd) {
@@ -272,21 +598,25 @@ class instance extends instance_skel {
 		let valParams = {};
 		let scpLabel  = '';
 
-		if (this.config.model == 'TF' && scpCmd.Type == 'scene') {
+		if (this.model == 'TF' && scpCmd.Type == 'scene') {
 			scpLabel = 'Scene/Bank'
 		} else {
 			scpLabel = scpCmd.Address.slice(scpCmd.Address.indexOf("/") + 1); // String after "MIXER:Current/"
 		}
 		
-		// Add the commands from the data file. Action id's (action.action) are the SCP command number
+		// Add the commands from the data file. Action id's (action.action) come from the SCP address, see scpId()
 		let scpLabels = scpLabel.split("/");
 		let scpLabelIdx = (scpLabel.startsWith("Cue")) ? 1 : 0;
 		
 		newAction = {label: scpLabel, options: []};
 		if (scpCmd.X > 1) {
-			if (scpLabel.startsWith("InCh") || scpLabel.startsWith("Cue/InCh")) {
+			if (scpCmd.Type == 'scene') {
 				newAction.options = [
-					{type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'X', default: 1, minChoicesForSearch: 0, choices: scpNames.chNames}
+					{type: 'dropdown', label: 'Scene', id: 'X', default: 1, minChoicesForSearch: 0, choices: this.sceneChoices()}
+				]
+			} else if (this.channelDropdownChoices(scpLabels[scpLabelIdx], parseInt(scpCmd.X)) !== undefined) {
+				newAction.options = [
+					{type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'X', default: 1, minChoicesForSearch: 0, choices: this.channelDropdownChoices(scpLabels[scpLabelIdx], parseInt(scpCmd.X))}
 				]
 			} else {
 				newAction.options = [
@@ -297,11 +627,14 @@ class instance extends instance_skel {
 		}
 
 		if (scpCmd.Y > 1) {
-			if (this.config.model == "TF" && scpCmd.Type == 'scene') {
+			if (this.model == "TF" && scpCmd.Type == 'scene') {
 				valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Y', default: 'a', choices:[
 					{id: 'a', label: 'A'},
 					{id: 'b', label: 'B'}
 				]}
+			} else if (this.sendChannelType(scpLabels[scpLabelIdx]) !== undefined && this.nameCommand(this.sendChannelType(scpLabels[scpLabelIdx])) !== undefined) {
+				valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Y', default: 1, minChoicesForSearch: 0, 
+				choices: this.channelChoices(this.sendChannelType(scpLabels[scpLabelIdx]), parseInt(scpCmd.Y))}
 			} else {
 				valParams = {type: 'number', label: scpLabels[scpLabelIdx], id: 'Y', min: 1, max: scpCmd.Y, default: 1, required: true, range: false}
 			}
@@ -317,6 +650,11 @@ class instance extends instance_skel {
 			case 'integer':
 				if (scpCmd.Max == 1) {
 					valParams = {type: 'checkbox', label: 'On', id: 'Val', default: (scpCmd.Default == 1) ? true : false}
+				} else if (this.isDb(scpCmd)) {
+					valParams = {
+						type: 'textinput', label: `${scpLabels[scpLabelIdx]} (dB)`, id: 'Val', default: this.formatDb(this.rawToDb(scpCmd, scpCmd.Default)), 
+						regex: '/^(-inf|[-+]?\\d+(\\.\\d+)?)$/i'
+					}
 				} else {
 					valParams = {
 						type: 'number', label: scpLabels[scpLabelIdx], id: 'Val', min: scpCmd.Min, max: scpCmd.Max, default: parseInt(scpCmd.Default), required: true, range: false
@@ -326,10 +664,10 @@ class instance extends instance_skel {
 			case 'string':
 			case 'binary':
 				if (scpLabel.startsWith("CustomFaderBank")) {
-					valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Val', default: scpCmd.Default, minChoicesForSearch: 0, choices: scpNames.customChNames}
+					valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Val', default: scpCmd.Default, minChoicesForSearch: 0, choices: this.customChoices()}
 				} else if (scpLabel.endsWith("Color")) {
 					valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Val', default: scpCmd.Default, minChoicesForSearch: 0, 
-					choices: this.config.model == "TF" ? scpNames.chColorsTF : scpNames.chColors}
+					choices: this.model == "TF" ? scpNames.chColorsTF : scpNames.chColors}
 				} else if (scpLabel.endsWith("Icon")) {
 					valParams = {type: 'dropdown', label: scpLabels[scpLabelIdx], id: 'Val', default: scpCmd.Default, minChoicesForSearch: 0, 
 					choices: scpNames.chIcons}
@@ -353,6 +691,58 @@ class instance extends instance_skel {
 		
 	}
 
+
+	// Let a numeric parameter's Feedback compare the value, not just match it
+	addCompareOptions(scpFeedback) {
+
+		let valOption = scpFeedback.options[scpFeedback.options.length - 1];
+
+		scpFeedback.options.splice(-1, 0, {type: 'dropdown', label: 'Compare', id: 'mode', default: 'eq', choices: [
+			{id: 'eq',      label: 'Equal to'},
+			{id: 'ne',      label: 'Not equal to'},
+			{id: 'gt',      label: 'Greater than'},
+			{id: 'lt',      label: 'Less than'},
+			{id: 'range',   label: 'Between (inclusive)'},
+			{id: 'default', label: 'Not at its default value'}
+		]});
+		scpFeedback.options.push({...valOption, label: `${valOption.label} (top of range)`, id: 'Val2'});
+	}
+
+
+	// Create a Relative (nudge up/down) Action from an integer parameter's Action
+	createRelAction(scpCmd, scpAction) {
+		
+		let range     = scpCmd.Max - scpCmd.Min;
+		let relAction = JSON.parse(JSON.stringify(scpAction));
+
+		relAction.label = `${scpAction.label} (Relative)`;
+		relAction.options.pop(); // Replace the absolute value with a step
+		if (this.isDb(scpCmd)) {
+			range = (scpCmd.Max - ((scpCmd.Min == SCP_NEG_INF) ? SCP_LVL_FLOOR : scpCmd.Min)) / scpCmd.Scale;
+			relAction.options.push(
+				{type: 'number', label: 'Step (+/- dB)', id: 'Step', min: -range, max: range, step: 1 / scpCmd.Scale, default: 1, required: true, range: false}
+			);
+		} else {
+			relAction.options.push(
+				{type: 'number', label: 'Step (+/-)', id: 'Step', min: -range, max: range, default: 1, required: true, range: false}
+			);
+		}
+
+		return relAction;
+	}
+
+
+	// Create a Toggle Action from an on/off parameter's Action
+	createToggleAction(scpCmd, scpAction) {
+		
+		let toggleAction = JSON.parse(JSON.stringify(scpAction));
+
+		toggleAction.label = `${scpAction.label} (Toggle)`;
+		toggleAction.options.pop(); // No value, it's flipped from the current one
+
+		return toggleAction;
+	}
+
 	
 	// Create the Actions & Feedbacks
 	actions(system) {
@@ -364,7 +754,7 @@ class instance extends instance_skel {
 
 		for (let i = 0; i < this.scpCommands.length; i++) {
 			command = this.scpCommands[i]
-			scpAction = 'scp_' + command.Index;
+			scpAction = this.scpId(command);
 		
 			commands[scpAction] = this.createAction(command);
 			feedbacks[scpAction] = JSON.parse(JSON.stringify(commands[scpAction])); // Clone the Action to a matching feedback
@@ -372,15 +762,167 @@ class instance extends instance_skel {
 			if (this.nameCommands.includes(scpAction) || this.colorCommands.includes(scpAction)) {
 				feedbacks[scpAction].options.pop();
 			} else {
+				if (command.Type == 'integer' && command.Max != 1) {
+					this.addCompareOptions(feedbacks[scpAction]);
+				}
 				feedbacks[scpAction].options.push(
 					{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
 					{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
 				)
 			}
+
+			if (command.Type == 'integer' && command.Max != 1) {
+				commands[scpAction + '_rel'] = this.createRelAction(command, commands[scpAction]);
+			}
+			if (command.Type == 'integer' && command.Max == 1) {
+				commands[scpAction + '_toggle'] = this.createToggleAction(command, commands[scpAction]);
+			}
+			if (this.isLevel(command)) {
+				commands[scpAction + '_fade'] = this.createFadeAction(command, commands[scpAction]);
+			}
+			if (command.Type != 'scene' && (command.X > 1 || command.Y > 1)) {
+				commands[scpAction + '_multi'] = this.createMultiAction(command, commands[scpAction]);
+
+				if (!this.nameCommands.includes(scpAction) && !this.colorCommands.includes(scpAction)) {
+					feedbacks[scpAction + '_multi'] = this.createMultiAction(command, commands[scpAction]);
+					if (command.Type == 'integer' && command.Max != 1) {
+						this.addCompareOptions(feedbacks[scpAction + '_multi']);
+					}
+					this.addMultiOptions(feedbacks[scpAction + '_multi']);
+					feedbacks[scpAction + '_multi'].options.push(
+						{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
+						{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
+					);
+				}
+			}
 		}
 
+		commands['fadeStopAll'] = {label: 'Stop All Fades'};
+		commands['resync'] = {label: 'Sync All Parameters From Console'};
 		commands['macroRecStart'] = {label: 'Record SCP Macro'};
 		commands['macroRecStop'] = {label: 'Stop Recording'};
+		commands['seqRecStart'] = {label: 'Record SCP Sequence'};
+		commands['seqRecStop'] = {label: 'Stop Recording Sequence'};
+		commands['seqPlay'] = {label: 'Play SCP Sequence', options: [
+			{type: 'dropdown', label: 'Sequence', id: 'sequence', default: '', choices: this.sequenceChoices()},
+			{type: 'number', label: 'Speed (x)', id: 'speed', min: 0.1, max: 10, step: 0.1, default: 1, required: true, range: false}
+		]};
+		commands['seqLoop'] = {label: 'Loop SCP Sequence', options: commands['seqPlay'].options};
+		commands['seqStop'] = {label: 'Stop SCP Sequence', options: [
+			{type: 'dropdown', label: 'Sequence', id: 'sequence', default: 'all', choices: [{id: 'all', label: 'All Sequences'}, ...this.sequenceChoices()]}
+		]};
+		commands['seqDelete'] = {label: 'Delete SCP Sequence', options: [
+			{type: 'dropdown', label: 'Sequence', id: 'sequence', default: '', choices: this.sequenceChoices()}
+		]};
+		commands['macroRename'] = {label: 'Rename SCP Macro', options: [
+			{type: 'dropdown', label: 'Macro', id: 'macro', default: '', choices: this.macroChoices()},
+			{type: 'textinput', label: 'New Name', id: 'name', default: ''}
+		]};
+		commands['macroDelete'] = {label: 'Delete SCP Macro', options: [
+			{type: 'dropdown', label: 'Macro', id: 'macro', default: '', choices: this.macroChoices()}
+		]};
+		commands['macroExport'] = {label: 'Export SCP Macros to File', options: [
+			{type: 'textinput', label: 'File (full path)', id: 'file', default: ''}
+		]};
+		commands['macroImport'] = {label: 'Import SCP Macros from File', options: [
+			{type: 'textinput', label: 'File (full path)', id: 'file', default: ''},
+			{type: 'checkbox', label: 'Replace existing macros', id: 'replace', default: false}
+		]};
+		commands['selectorSet'] = {label: 'Set My Channel', options: [
+			{type: 'dropdown', label: 'My Channel', id: 'selector', default: '-1', choices: this.selectorChoices()},
+			{type: 'number', label: 'Channel', id: 'channel', min: 1, max: this.maxChannels(), default: 1, required: true, range: false}
+		]};
+		commands['selectorInc'] = {label: 'Next My Channel', options: [
+			{type: 'dropdown', label: 'My Channel', id: 'selector', default: '-1', choices: this.selectorChoices()},
+			{type: 'number', label: 'By', id: 'step', min: 1, max: this.maxChannels(), default: 1, required: true, range: false}
+		]};
+		commands['selectorDec'] = {label: 'Previous My Channel', options: commands['selectorInc'].options};
+		commands['consoleSwitch'] = {label: 'Switch Console', options: [
+			{type: 'dropdown', label: 'Console', id: 'console', default: 'other', choices: [
+				{id: 'other', label: 'The other one'},
+				{id: 'primary', label: 'Primary'},
+				{id: 'backup', label: 'Backup'}
+			]}
+		]};
+		commands['rawCmd'] = {label: 'Send Raw SCP Command', options: [
+			{type: 'textinput', label: 'Command (variables allowed, {mych1} is My Channel #1 numbered from 0)', id: 'cmd', default: 'get MIXER:Current/InCh/Fader/Level {mych1} 0'},
+			{type: 'textinput', label: 'Keep reply in variable (optional name)', id: 'variable', default: ''}
+		]};
+		commands['auditExport'] = {label: 'Export Change Log to File', options: [
+			{type: 'textinput', label: 'File (full path)', id: 'file', default: ''},
+			{type: 'textinput', label: 'Only these parameters (address prefixes, blank for all)', id: 'filter', default: ''}
+		]};
+		commands['showLock'] = {label: 'Show Lock', options: [
+			{type: 'dropdown', label: 'Lock', id: 'mode', default: 'lock', choices: [
+				{id: 'lock', label: 'Lock'},
+				{id: 'unlock', label: 'Unlock'},
+				{id: 'toggle', label: 'Toggle'}
+			]}
+		]};
+		commands['sceneNext'] = {label: 'Recall Next Scene'};
+		commands['scenePrev'] = {label: 'Recall Previous Scene'};
+		commands['sceneListRead'] = {label: 'Read Scene List from Console'};
+		commands['snapCapture'] = {label: 'Capture SCP Snapshot', options: [
+			{type: 'textinput', label: 'Name', id: 'name', default: ''},
+			{type: 'textinput', label: 'Parameters (address prefixes, e.g. InCh/ToMix, DCA/Fader/Level)', id: 'prefix', default: ''},
+			{type: 'textinput', label: 'Channels (e.g. 1-8,12, blank for all)', id: 'channels', default: ''},
+			{type: 'textinput', label: 'Mixes (e.g. 3, blank for all)', id: 'mixes', default: ''},
+			{type: 'dropdown', label: 'Values', id: 'source', default: 'store', choices: [
+				{id: 'store', label: 'Last known values'},
+				{id: 'fresh', label: 'Read from console'}
+			]},
+			{type: 'textinput', label: 'Recall Safe Parameters (address prefixes)', id: 'safePrefix', default: ''},
+			{type: 'textinput', label: 'Recall Safe Channels (e.g. 1-4)', id: 'safeChannels', default: ''}
+		]};
+		commands['snapRecall'] = {label: 'Recall SCP Snapshot', options: [
+			{type: 'dropdown', label: 'Snapshot', id: 'snapshot', default: '', choices: this.snapshotChoices()},
+			{type: 'number', label: 'Fade Time (s)', id: 'time', min: 0, max: 60, step: 0.1, default: 0, required: true, range: false}
+		]};
+		commands['snapSafe'] = {label: 'Set SCP Snapshot Recall Safe', options: [
+			{type: 'dropdown', label: 'Snapshot', id: 'snapshot', default: '', choices: this.snapshotChoices()},
+			{type: 'textinput', label: 'Recall Safe Parameters (address prefixes)', id: 'safePrefix', default: ''},
+			{type: 'textinput', label: 'Recall Safe Channels (e.g. 1-4)', id: 'safeChannels', default: ''}
+		]};
+		commands['snapDelete'] = {label: 'Delete SCP Snapshot', options: [
+			{type: 'dropdown', label: 'Snapshot', id: 'snapshot', default: '', choices: this.snapshotChoices()}
+		]};
+
+		feedbacks['connected'] = {label: 'Console is Connected', options: [
+			{type: 'checkbox', label: 'Connected', id: 'on', default: false},
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(255,255,255)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
+		]};
+
+		feedbacks['consoleActive'] = {label: 'Active Console', options: [
+			{type: 'dropdown', label: 'Console', id: 'console', default: 'backup', choices: [
+				{id: 'primary', label: 'Primary'},
+				{id: 'backup', label: 'Backup'}
+			]},
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,191,0)}
+		]};
+
+		feedbacks['consoleDiverged'] = {label: 'Primary & Backup Consoles Differ', options: [
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(255,255,255)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
+		]};
+
+		feedbacks['rawValue'] = {label: 'Raw SCP Reply is', options: [
+			{type: 'textinput', label: 'get Command (variables & {mych1} allowed)', id: 'cmd', default: 'get MIXER:Current/InCh/Fader/On {mych1} 0'},
+			{type: 'textinput', label: 'Value', id: 'Val', default: '1'},
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,255,0)}
+		]};
+
+		feedbacks['showLock'] = {label: 'Show Lock', options: [
+			{type: 'dropdown', label: 'State', id: 'state', default: 'locked', choices: [
+				{id: 'locked', label: 'Locked'},
+				{id: 'unlocked', label: 'Unlocked'},
+				{id: 'armed', label: 'Waiting for a second press'}
+			]},
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(255,255,255)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
+		]};
 
 		feedbacks['macroRecStart'] = {label: 'Macro is Recording', options: [
 			{type: 'checkbox', label: 'ON', id: 'on', default: true},
@@ -388,6 +930,23 @@ class instance extends instance_skel {
 			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(255,0,0)}
 		]};
 
+		feedbacks['seqRecStart'] = {label: 'Sequence is Recording', options: feedbacks['macroRecStart'].options};
+
+		if (this.sceneCommand() !== undefined) {
+			feedbacks['sceneCurrent'] = {label: 'Current Scene is', options: [
+				{type: 'dropdown', label: 'Scene', id: 'X', default: 1, minChoicesForSearch: 0, choices: this.sceneChoices()},
+				...((this.model == 'TF') ? [{type: 'dropdown', label: 'Bank', id: 'Y', default: 'a', choices: [{id: 'a', label: 'A'}, {id: 'b', label: 'B'}]}] : []),
+				{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
+				{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(0,255,0)}
+			]};
+		}
+
+		feedbacks['seqRunning'] = {label: 'Sequence is Running', options: [
+			{type: 'dropdown', label: 'Sequence', id: 'sequence', default: 'all', choices: [{id: 'all', label: 'Any Sequence'}, ...this.sequenceChoices()]},
+			{type: 'colorpicker', label: 'Color', id: 'fg', default: this.rgb(0,0,0)},
+			{type: 'colorpicker', label: 'Background', id: 'bg', default: this.rgb(0,255,0)}
+		]};
+
 /*
 this.log('info','******** COMMAND LIST *********');
 Object.entries(commands).forEach(([key, value]) => this.log('info',`<font face="courier">${value.label.padEnd(36, '\u00A0')} ${key}</font>`));
@@ -405,10 +964,10 @@ this.log('info','***** END OF COMMAND LIST *****')
 		if (scpCmd == undefined || opt == undefined) return;
 
 		let scnPrefix  = '';
-		let optX       = (opt.X === undefined) ? 1 : (opt.X > 0) ? opt.X : this.config[`myCh${-opt.X}`];
+		let optX       = (opt.X === undefined) ? 1 : this.resolveChannel(opt.X);
 		let optY       = (opt.Y === undefined) ? 0 : opt.Y - 1;
 		let optVal
-		let scpCommand = this.scpCommands.find(cmd => 'scp_' + cmd.Index == scpCmd);
+		let scpCommand = this.findCommand(scpCmd);
 		if (scpCommand == undefined) {
 			this.log('debug',`PARSECMD: Unrecognized command. '${scpCmd}'`)
 			return;
@@ -420,13 +979,23 @@ this.log('info','***** END OF COMMAND LIST *****')
 			case 'binary':
 				cmdName = `${prefix} ${cmdName}`
 				optX--; 				// ch #'s are 1 higher than the parameter
-				optVal = ((prefix == 'set') ? 0 + opt.Val : ''); 	// Changes true/false to 1 0
+				if (prefix != 'set') {
+					optVal = '';
+				} else if (this.isDb(scpCommand)) {
+					optVal = this.dbToRaw(scpCommand, opt.Val);
+					if (optVal == undefined) {
+						this.log('warn', `PARSECMD: '${opt.Val}' is not a valid dB value for ${cmdName}`);
+						return;
+					}
+				} else {
+					optVal = 0 + opt.Val; 	// Changes true/false to 1 0
+				}
 				break;
 			
 			case 'string':
 				cmdName = `${prefix} ${cmdName}`
 				optX--; 				// ch #'s are 1 higher than the parameter except with Custom Banks
-				optVal = ((prefix == 'set') ? `"${opt.Val}"` : ''); // quotes around the string
+				optVal = ((prefix == 'set') ? `"${`${opt.Val}`.replace(/(["\\])/g, '\\$1')}"` : ''); // quotes around the string, escaping any inside it
 				break;
 	
 			case 'scene':
@@ -441,7 +1010,7 @@ this.log('info','***** END OF COMMAND LIST *****')
 					optX = '';
 				}
 	
-				if (this.config.model == 'CL/QL') {
+				if (this.model == 'CL/QL') {
 					cmdName = `${scnPrefix} ${cmdName}`;  		// Recall Scene for CL/QL
 				} else {
 					cmdName = `${scnPrefix} ${cmdName}${opt.Y}`; 	// Recall Scene for TF
@@ -469,46 +1038,80 @@ this.log('info','***** END OF COMMAND LIST *****')
 			release_actions: 	[{action: 'macroRecStop'}],
 			feedbacks: 			[{type:   'macroRecStart', options: {on: true}}]
 		}];
+
+		this.scpPresets.push({
+			category: 'Sequences',
+			label: 'Create SCP Sequence',
+			bank: {
+				style: 'text',
+				text: 'Record SCP Sequence',
+				latch: true,
+				size: 'auto',
+				color: this.rgb(255,255,255),
+				bgcolor: this.rgb(0,0,0)
+			},
+			actions: 			[{action: 'seqRecStart'}],
+			release_actions: 	[{action: 'seqRecStop'}],
+			feedbacks: 			[{type:   'seqRecStart', options: {on: true}}]
+		});
+
+		for (let macro of this.getMacros()) {
+			this.scpPresets.push(this.macroPreset(macro));
+		}
+		for (let seq of this.getSequences()) {
+			this.scpPresets.push(this.sequencePreset(seq));
+		}
 	
 		this.setPresetDefinitions(this.scpPresets);
 	}
 
 	
+	// Make an Action that repeats a command received from the console
+	macroAction(c) {
+
+		let cX = parseInt(c.cmd.X);
+		let cY = parseInt(c.cmd.Y);
+		let cV
+
+		switch(c.scp.Type) {
+			case 'integer':
+			case 'binary':
+				cX++;
+				cY++;
+				if (c.scp.Max == 1) {
+					cV = ((c.cmd.Val == 0) ? false : true)
+				} else if (this.isDb(c.scp)) {
+					cV = this.formatDb(c.cmd.Val); // Already converted to dB by addToDataStore()
+				} else {
+					cV = parseInt(c.cmd.Val);
+				}
+				break;
+			case 'string':
+				cX++;
+				cY++;
+				cV = c.cmd.Val;
+				break;
+		}
+
+		return {action: this.scpId(c.scp), options: {X: cX, Y: cY, Val: cV}};
+	}
+
+
 	// Add a command to a Macro Preset
 	addMacro(c) {
 
 		let foundActionIdx = -1;
 
 		if (this.macroRec) {
-			let cX = parseInt(c.cmd.X);
-			let cY = parseInt(c.cmd.Y);
-			let cV
-
-			switch(c.scp.Type) {
-				case 'integer':
-				case 'binary':
-					cX++;
-					cY++;
-					if (c.scp.Max == 1) {
-						cV = ((c.cmd.Val == 0) ? false : true)
-					} else {
-						cV = parseInt(c.cmd.Val);
-					}
-					break;
-				case 'string':
-					cX++;
-					cY++;
-					cV = c.cmd.Val;
-					break;
-			}
+			let newAction = this.macroAction(c);
 			
 			// Check for new value on existing action
-			let scpActions = this.scpPresets[this.scpPresets.length - 1].actions;
+			let scpActions = this.recMacro.actions;
 			if (scpActions !== undefined) {
 				foundActionIdx = scpActions.findIndex(cmd => (
-					cmd.action == 'scp_' + c.scp.Index && 
-					cmd.options.X == cX &&
-					cmd.options.Y == cY
+					cmd.action == newAction.action && 
+					cmd.options.X == newAction.options.X &&
+					cmd.options.Y == newAction.options.Y
 				));
 			}
 			
@@ -517,70 +1120,271 @@ this.log('info','***** END OF COMMAND LIST *****')
 				foundActionIdx = scpActions.length - 1;
 			}
 
-			scpActions[foundActionIdx] = {action: 'scp_' + c.scp.Index, options: {X: cX, Y: cY, Val: cV}};
+			scpActions[foundActionIdx] = newAction;
 
 		}
 	}
 
 	
-	// Handle the Actions
-	action(action) {
+	// Handle the Actions, remembering which button they came from
+	action(action, info) {
+		this.withOrigin(this.cmdSource(action, info), () => this.runAction(action));
+	}
 
-		if (!action.action.startsWith('macro')) {
-			let cmd = this.parseCmd('set', action.action, action.options);
-			if (cmd !== undefined) {
-				this.log('debug', `sending '${cmd}' to ${this.config.host}`);
 
-				if (this.socket !== undefined && this.socket.connected) {
-					this.socket.send(`${cmd}\n`); 					// send it, but add a CR to the end
-				}
-				else {
-					this.log('info', 'Socket not connected :(');
-				}
-			}	
-		} else {
-			if (action.action == 'macroRecStart' && this.macroRec == false) {
-				this.macroCount++;
-				this.scpPresets.push({
-					category: 'Macros',
-					label: `Macro ${this.macroCount}`,
-					bank: {
-						style: 'text',
-						text: `Macro ${this.macroCount}`,
-						size: 'auto',
-						color: this.rgb(255,255,255),
-						bgcolor: this.rgb(0,0,0)
-					},
-					actions: []
-				});
-				this.macroRec = true;
-
-			} else if (action.action == 'macroRecStop') {
-				this.macroRec = false;
-				if (this.scpPresets[this.scpPresets.length - 1].actions.length > 0) {
-					this.setPresetDefinitions(this.scpPresets);
-				} else {
-					this.scpPresets.pop();
-					this.macroCount = 0;
-				}
+	// Do an Action
+	runAction(action) {
+
+		let opt = action.options;
+
+		if (!this.lockAllows(action)) return;
+
+		if (action.action.startsWith('scp_')) {
+			if (this.findCommand(action.action.replace(/_(rel|toggle|fade|multi)$/, '')) == undefined) {
+				this.log('warn', `A button uses '${action.action}', which isn't supported on this console. Edit the button and choose the parameter again`);
+				return;
 			}
-			this.checkFeedbacks('macroRecStart');
+			this.paramAction(action.action, opt);
+			return;
+		}
+
+		switch(action.action) {
+			case 'fadeStopAll':
+				this.stopAllFades();
+				break;
+			case 'resync':
+				this.startSync();
+				break;
+			case 'macroRecStart':
+				if (this.macroRec == false) this.startMacroRec();
+				break;
+			case 'macroRecStop':
+				if (this.macroRec == true) this.stopMacroRec();
+				break;
+			case 'macroRename':
+				this.renameMacro(opt.macro, opt.name);
+				break;
+			case 'macroDelete':
+				this.deleteMacro(opt.macro);
+				break;
+			case 'macroExport':
+				this.exportMacros(opt.file);
+				break;
+			case 'macroImport':
+				this.importMacros(opt.file, opt.replace);
+				break;
+			case 'seqRecStart':
+				if (this.seqRec == false) this.startSeqRec();
+				break;
+			case 'seqRecStop':
+				if (this.seqRec == true) this.stopSeqRec();
+				break;
+			case 'seqPlay':
+				this.playSequence(opt.sequence, opt.speed, false);
+				break;
+			case 'seqLoop':
+				this.playSequence(opt.sequence, opt.speed, true);
+				break;
+			case 'seqStop':
+				this.stopSequence(opt.sequence);
+				break;
+			case 'seqDelete':
+				this.deleteSequence(opt.sequence);
+				break;
+			case 'selectorSet':
+				this.setSelector(opt.selector, opt.channel);
+				break;
+			case 'selectorInc':
+				this.stepSelector(opt.selector, opt.step);
+				break;
+			case 'selectorDec':
+				this.stepSelector(opt.selector, -opt.step);
+				break;
+			case 'consoleSwitch':
+				this.switchConsole(opt.console);
+				break;
+			case 'showLock':
+				this.setShowLock(opt.mode);
+				break;
+			case 'rawCmd':
+				this.sendRaw(opt);
+				break;
+			case 'auditExport':
+				this.exportAudit(opt.file, opt.filter);
+				break;
+			case 'sceneNext':
+				this.stepScene(1);
+				break;
+			case 'scenePrev':
+				this.stepScene(-1);
+				break;
+			case 'sceneListRead':
+				this.startSceneList();
+				break;
+			case 'snapCapture':
+				this.captureSnapshot(opt);
+				break;
+			case 'snapRecall':
+				this.recallSnapshot(opt.snapshot, opt.time);
+				break;
+			case 'snapSafe':
+				this.setSnapshotSafe(opt.snapshot, opt.safePrefix, opt.safeChannels);
+				break;
+			case 'snapDelete':
+				this.deleteSnapshot(opt.snapshot);
 		}
+		this.checkFeedbacks('macroRecStart');
+		this.checkFeedbacks('seqRecStart');
+
+	}
 
+
+	// Handle an Action for a parameter: set, relative, toggle, fade or on many channels
+	paramAction(scpAction, opt) {
+
+		if (scpAction.endsWith('_multi')) {
+			this.multiAction(scpAction.slice(0, -6), opt);
+		} else if (scpAction.endsWith('_fade')) {
+			this.fadeAction(scpAction.slice(0, -5), opt);
+		} else if (scpAction.endsWith('_toggle')) {
+			this.toggleAction(scpAction.slice(0, -7), opt);
+		} else if (scpAction.endsWith('_rel')) {
+			this.stopFade(this.fadeKey(scpAction.slice(0, -4), opt));
+			this.relativeAction(scpAction.slice(0, -4), opt);
+		} else {
+			this.stopFade(this.fadeKey(scpAction, opt));
+			this.sendCmd(this.parseCmd('set', scpAction, opt));
+		}
 	}
 	
 
+	// Move an integer parameter up or down by a step from its current value
+	relativeAction(scpAction, opt) {
+
+		let scpCommand = this.findCommand(scpAction);
+		if (scpCommand == undefined) return;
+
+		this.getValue(scpAction, opt, (curVal) => {
+			let newVal;
+			let [optX, optY] = this.resolveXY(opt);
+
+			if (this.isDb(scpCommand)) {
+				let newRaw = this.stepValue(scpCommand, this.dbToRaw(scpCommand, curVal), Math.round(opt.Step * scpCommand.Scale));
+				newVal = this.rawToDb(scpCommand, newRaw);
+			} else {
+				newVal = this.stepValue(scpCommand, curVal, opt.Step);
+			}
+
+			this.sendCmd(this.parseCmd('set', scpAction, {...opt, Val: newVal}));
+			this.dataStore[scpAction][optX][optY] = newVal; // So repeated presses add up before the console replies
+		});
+	}
+
+
+	// Flip an on/off parameter from its current value
+	toggleAction(scpAction, opt) {
+
+		this.getValue(scpAction, opt, (curVal) => {
+			let newVal = (curVal == 0) ? 1 : 0;
+			let [optX, optY] = this.resolveXY(opt);
+
+			this.sendCmd(this.parseCmd('set', scpAction, {...opt, Val: newVal}));
+			this.dataStore[scpAction][optX][optY] = newVal; // So repeated presses flip back & forth before the console replies
+		});
+	}
+
+
+	// Add a step to a value, clamped to the parameter's range. Level parameters drop to -inf below their floor
+	stepValue(scpCmd, curVal, step) {
+
+		let min = parseInt(scpCmd.Min);
+		let max = parseInt(scpCmd.Max);
+		let val = parseInt(curVal);
+
+		if (min == SCP_NEG_INF) {
+			if (val == SCP_NEG_INF) {
+				if (step <= 0) return SCP_NEG_INF;
+				val = SCP_LVL_FLOOR;
+			}
+			val += step;
+			if (val < SCP_LVL_FLOOR) return SCP_NEG_INF;
+		} else {
+			val += step;
+		}
+
+		return Math.min(Math.max(val, min), max);
+	}
+
+
+	// Is this a fixed-point dB parameter (levels, HA gain, thresholds)?
+	isDb(scpCmd) {
+		return scpCmd.Type == 'integer' && scpCmd.Unit == 'dB';
+	}
+
+
+	// Is this a level parameter that goes down to -inf (faders, sends, cue level)?
+	isLevel(scpCmd) {
+		return this.isDb(scpCmd) && scpCmd.Min == SCP_NEG_INF;
+	}
+
+
+	// Convert a value from the console to dB, with -inf as -Infinity
+	rawToDb(scpCmd, raw) {
+		raw = parseInt(raw);
+		return (raw == SCP_NEG_INF) ? -Infinity : raw / scpCmd.Scale;
+	}
+
+
+	// Convert a dB value (a number or an option string, including "-inf") to a value for the console
+	dbToRaw(scpCmd, dB) {
+		
+		if (dB === -Infinity || `${dB}`.trim().toLowerCase() == '-inf') {
+			return parseInt(scpCmd.Min);
+		}
+
+		let val = parseFloat(dB);
+		if (isNaN(val)) return;
+
+		val = Math.round(val * scpCmd.Scale);
+		if (val < SCP_LVL_FLOOR && scpCmd.Min == SCP_NEG_INF) return SCP_NEG_INF;
+		
+		return Math.min(Math.max(val, parseInt(scpCmd.Min)), parseInt(scpCmd.Max));
+	}
+
+
+	// dB value as text, e.g. "-10.50" or "-inf"
+	formatDb(dB) {
+		return (dB === -Infinity) ? '-inf' : dB.toFixed(2);
+	}
+
+
 	// Handle the Feedbacks
 	feedback(feedback, bank) {
 
 		let options     = feedback.options;
-		let scpCommand  = this.scpCommands.find(cmd => 'scp_' + cmd.Index == feedback.type);
+		let scpCommand  = this.findCommand(feedback.type);
 		let retOptions  = {};
 
+		if (feedback.type.endsWith('_multi')) {
+			if (this.multiFeedback(feedback.type.slice(0, -6), options)) {
+				return {color: options.fg, bgcolor: options.bg};
+			}
+			return;
+		}
+
+		if (scpCommand !== undefined && scpCommand.Type == 'scene') {
+			if (this.isCurrentScene(options.X, options.Y)) {
+				return {color: options.fg, bgcolor: options.bg};
+			}
+			return;
+		}
+
 		if (scpCommand !== undefined) {
 			let optVal = (options.Val == undefined ? options.X : (scpCommand.Type == 'integer') ? 0 + options.Val : `${options.Val}`); 	// 0 + value turns true/false into 1 0
-			let optX = (options.X > 0) ? options.X : this.config[`myCh${-options.X}`];
-			let optY = (options.Y == undefined) ? 1 : options.Y;
+			if (options.Val !== undefined && this.isDb(scpCommand)) {
+				optVal = this.rawToDb(scpCommand, this.dbToRaw(scpCommand, options.Val));
+			}
+			let [optX, optY] = this.resolveXY(options);
 						
 			// console.log(`\nFeedback: '${feedback.id}' from bank '${bank.text}' is ${feedback.type} (${scpCommand.Address})`);
 			// console.log(`X: ${optX}, Y: ${optY}, Val: ${optVal}`);
@@ -588,7 +1392,7 @@ this.log('info','***** END OF COMMAND LIST *****')
 			if (this.dataStore[feedback.type] !== undefined && this.dataStore[feedback.type][optX] !== undefined) {
 				
 				retOptions = {text: bank.text, color: bank.color, bgcolor: bank.bgcolor};
-				if (this.dataStore[feedback.type][optX][optY] == optVal) {
+				if (this.compareValue(scpCommand, this.dataStore[feedback.type][optX][optY], optVal, options)) {
 					
 					retOptions = {text: (options.text == undefined) ? bank.text : options.text, color: options.fg, bgcolor: options.bg}
 					// console.log(`  *** Match *** ${JSON.stringify(retOptions)}\n`);
@@ -617,26 +1421,205 @@ this.log('info','***** END OF COMMAND LIST *****')
 			return {color: options.fg, bgcolor: options.bg};
 		}
 
+		if (feedback.type == 'connected' && options.on == this.consoleConnected) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'consoleActive' && options.console == this.activeConsole) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'consoleDiverged' && this.consolesDiverged()) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'showLock' && this.lockState(options.state)) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'rawValue' && this.rawFeedback(options)) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'seqRecStart' && options.on == this.seqRec) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'sceneCurrent' && this.isCurrentScene(options.X, options.Y)) {
+			return {color: options.fg, bgcolor: options.bg};
+		}
+
+		if (feedback.type == 'seqRunning') {
+			let running = (options.sequence == 'all') ? Object.keys(this.seqTimers).length > 0 : this.seqTimers[options.sequence] !== undefined;
+			if (running) {
+				return {color: options.fg, bgcolor: options.bg};
+			}
+		}
+
 		return;
 	}
 
 
+	// Does a stored value pass a Feedback's comparison? Equal to the option value unless another mode is chosen
+	compareValue(scpCmd, curVal, optVal, options) {
+
+		if (curVal === undefined) return false;
+
+		switch(options.mode) {
+			case 'ne':
+				return curVal != optVal;
+			case 'gt':
+				return curVal > optVal;
+			case 'lt':
+				return curVal < optVal;
+			case 'range': {
+				let top = this.isDb(scpCmd) ? this.rawToDb(scpCmd, this.dbToRaw(scpCmd, options.Val2)) : parseInt(options.Val2);
+				return curVal >= Math.min(optVal, top) && curVal <= Math.max(optVal, top);
+			}
+			case 'default':
+				return curVal != (this.isDb(scpCmd) ? this.rawToDb(scpCmd, scpCmd.Default) : parseInt(scpCmd.Default));
+			default:
+				return curVal == optVal;
+		}
+	}
+
+
 	// Poll the console for it's status to update buttons via feedback
 
 	pollScp() {
 		let allFeedbacks = this.getAllFeedbacks();
 		for (let fb in allFeedbacks) {
-			let cmd = this.parseCmd('get', allFeedbacks[fb].type, allFeedbacks[fb].options);
-			if (cmd !== undefined && this.id == allFeedbacks[fb].instance_id) {
-				this.log('debug', `sending '${cmd}' to ${this.config.host}`);
-				this.socket.send(`${cmd}\n`)
+			if (this.id != allFeedbacks[fb].instance_id) continue;
+
+			let type = allFeedbacks[fb].type;
+			if (type == 'rawValue') {
+				let cmd = this.rawTemplate(allFeedbacks[fb].options.cmd);
+				if (cmd.startsWith('get ')) {
+					this.watchRaw(this.rawKey(cmd));
+					this.sendCmd(cmd);
+				}
+			} else if (type.endsWith('_multi')) {
+				let scpCommand = this.findCommand(type.slice(0, -6));
+				if (scpCommand !== undefined) {
+					this.expandOptions(scpCommand, allFeedbacks[fb].options).forEach(opt => this.sendCmd(this.parseCmd('get', type.slice(0, -6), opt)));
+				}
+			} else {
+				this.sendCmd(this.parseCmd('get', type, allFeedbacks[fb].options));
 			}				
 		}
+		this.pollRaw();
+	}
+
+
+	// Queue a command string to send to the console
+	sendCmd(cmd, source) {
+
+		if (cmd == undefined) return;
+
+		this.log('debug', `sending '${cmd}' to ${this.consoleHost()}`);
+		if (this.socket !== undefined && this.socket.connected) {
+			this.queueCmd(cmd, source || this.cmdOrigin || 'module');
+		} else {
+			this.log('info', 'Socket not connected :(');
+		}
+	}
+
+
+	// X & Y as stored in the dataStore, with "My Channel" selectors resolved
+	resolveXY(opt) {
+		let optX = (opt.X === undefined) ? 1 : this.resolveChannel(opt.X);
+		let optY = (opt.Y === undefined) ? 1 : opt.Y;
+		return [optX, optY];
+	}
+
+
+	// Numbers in a range list like "1-8,12", from 1 to max. Blank means all of them
+	parseRange(text, max) {
+
+		let nums = [];
+
+		if (text == undefined || `${text}`.trim() == '') {
+			for (let n = 1; n <= max; n++) nums.push(n);
+			return nums;
+		}
+
+		for (let part of `${text}`.split(',')) {
+			let found = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+			if (found == null) continue;
+
+			let from = parseInt(found[1]);
+			let to   = (found[2] == undefined) ? from : parseInt(found[2]);
+			for (let n = Math.max(Math.min(from, to), 1); n <= Math.min(Math.max(from, to), max); n++) {
+				if (!nums.includes(n)) nums.push(n);
+			}
+		}
+		return nums;
+	}
+
+
+	// Does an address match a list of prefixes like "InCh/ToMix, */Patch"? With or without the "MIXER:Current/" part
+	addressMatches(address, filter) {
+
+		if (filter == undefined || `${filter}`.trim() == '') return true;
+
+		let short = address.slice(address.indexOf('/') + 1);
+
+		return `${filter}`.split(',').map(p => p.trim()).filter(p => p != '').some(p => {
+			let re = new RegExp('^' + p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'));
+			return re.test(address) || re.test(short);
+		});
+	}
+
+
+	// Key for a running fade on a parameter/channel
+	fadeKey(scpAction, opt) {
+		let [optX, optY] = this.resolveXY(opt);
+		return `${scpAction}:${optX}:${optY}`;
+	}
+
+
+	// Call back with a parameter's current value, asking the console for it if we don't know it yet (or always, with fresh)
+	getValue(scpAction, opt, cb, flags = {}) {
+
+		let [optX, optY] = this.resolveXY(opt);
+		let key = `${scpAction}:${optX}:${optY}`;
+
+		if (!flags.fresh && this.dataStore[scpAction] !== undefined && this.dataStore[scpAction][optX] !== undefined && 
+			this.dataStore[scpAction][optX][optY] !== undefined) {
+			cb(this.dataStore[scpAction][optX][optY]);
+			return;
+		}
+
+		if (this.pendingVals[key] == undefined) {
+			let pending = this.pendingVals[key] = [];
+			this.sendCmd(this.parseCmd('get', scpAction, opt));
+			setTimeout(() => {
+				if (this.pendingVals[key] === pending) {
+					this.log('debug', `No value for ${key} from the console`);
+					delete this.pendingVals[key];
+				}
+			}, VALUE_TIMEOUT);
+		}
+		let origin = this.cmdOrigin;
+		this.pendingVals[key].push(val => this.withOrigin(origin, () => cb(val)));
+	}
+
+
+	// Give up waiting for a value the console wouldn't give us, so the next press asks again
+	dropPending(cmd) {
+
+		let tokens = this.parseLine(cmd);
+		if (tokens[0] != 'get') return;
+
+		let scpCmd = this.scpCommands.find(c => c.Address == tokens[1]);
+		if (scpCmd !== undefined) {
+			delete this.pendingVals[`${this.scpId(scpCmd)}:${parseInt(tokens[2]) + 1}:${parseInt(tokens[3]) + 1}`];
+		}
 	}
 
 
 	addToDataStore(cmd) {
-		let idx = cmd.scp.Index;
+		let scpAction = this.scpId(cmd.scp);
 		let iY;
 		
 		if (cmd.cmd.Val == undefined) {
@@ -647,20 +1630,45 @@ this.log('info','***** END OF COMMAND LIST *****')
 		cmd.cmd.X = (cmd.cmd.X == undefined) ? 0 : cmd.cmd.X;
 		let iX = parseInt(cmd.cmd.X) + 1;
 		
-		if (this.config.model == 'TF' && idx == 1000) {
+		if (this.model == 'TF' && cmd.scp.Type == 'scene') {
 			iY = cmd.cmd.Address.slice(-1)
 		} else {
 			cmd.cmd.Y = (cmd.cmd.Y == undefined) ? 0 : cmd.cmd.Y;
 			iY = parseInt(cmd.cmd.Y) + 1;
 		}
 
-		if (this.dataStore['scp_' + idx] == undefined) {
-			this.dataStore['scp_' + idx] = {};
+		if (this.dataStore[scpAction] == undefined) {
+			this.dataStore[scpAction] = {};
+		}
+		if (this.dataStore[scpAction][iX] == undefined) {
+			this.dataStore[scpAction][iX] = {};
+		}
+		if (this.isDb(cmd.scp)) {
+			cmd.cmd.Val = this.rawToDb(cmd.scp, cmd.cmd.Val);
 		}
-		if (this.dataStore['scp_' + idx][iX] == undefined) {
-			this.dataStore['scp_' + idx][iX] = {};
+		let oldVal = this.dataStore[scpAction][iX][iY];
+		this.dataStore[scpAction][iX][iY] = cmd.cmd.Val;
+
+		if (cmd.scp.Type == 'scene') {
+			this.updateScene(cmd.cmd.Val, (this.model == 'TF') ? iY : undefined);
+			if (this.config.mirror && (cmd.cmd.Command.toUpperCase() == 'SSRECALL_EX' || cmd.cmd.Status.toUpperCase() == 'NOTIFY')) {
+				this.startSync(); // A scene recall changes everything
+			}
+		} else {
+			this.updateVariable(scpAction, iX, cmd.cmd.Val);
+			if (this.nameCommands.includes(scpAction) && oldVal !== cmd.cmd.Val) {
+				this.namesChanged(); // So the dropdowns show the new name
+			}
+		}
+
+		let key = `${scpAction}:${iX}:${iY}`;
+		this.auditChange(cmd, iX, iY, this.confirmedVals[key], key); // Not oldVal: relative, toggle & fade actions update the dataStore before the console answers
+		this.confirmedVals[key] = cmd.cmd.Val;
+		if (this.pendingVals[key] !== undefined) {
+			let callbacks = this.pendingVals[key];
+			delete this.pendingVals[key];
+			callbacks.forEach(cb => cb(cmd.cmd.Val));
 		}
-		this.dataStore['scp_' + idx][iX][iY] = cmd.cmd.Val;
 	
 	}
 
@@ -0,0 +1,161 @@
+/*
+// Recorded SCP macros: kept in the instance config, with rename, delete, import & export (along with sequences)
+*/
+
+const FS = require('fs');
+
+module.exports = {
+
+	// The saved macros
+	getMacros() {
+		if (!Array.isArray(this.config.macros)) {
+			this.config.macros = [];
+		}
+		return this.config.macros;
+	},
+
+
+	// Dropdown choices for picking a saved macro
+	macroChoices() {
+		return this.getMacros().map(macro => ({id: macro.id, label: macro.name}));
+	},
+
+
+	// Preset for a saved macro
+	macroPreset(macro) {
+		return {
+			category: 'Macros',
+			label: macro.name,
+			bank: {
+				style: 'text',
+				text: macro.name,
+				size: 'auto',
+				color: this.rgb(255,255,255),
+				bgcolor: this.rgb(0,0,0)
+			},
+			actions: macro.actions
+		};
+	},
+
+
+	// Start recording a new macro
+	startMacroRec() {
+		this.recMacro = {id: this.getMacros().reduce((max, macro) => Math.max(max, macro.id), 0) + 1, name: this.nextMacroName(), actions: []};
+		this.macroRec = true;
+	},
+
+
+	// Stop recording, and keep the macro if anything was recorded
+	stopMacroRec() {
+
+		this.macroRec = false;
+
+		if (this.recMacro.actions.length > 0) {
+			this.getMacros().push(this.recMacro);
+			this.log('info', `Recorded ${this.recMacro.name} with ${this.recMacro.actions.length} commands`);
+			this.saveMacros();
+		}
+		delete this.recMacro;
+	},
+
+
+	// First "Macro n" name that's after all the existing ones
+	nextMacroName() {
+
+		let num = 0;
+		for (let macro of this.getMacros()) {
+			let found = macro.name.match(/^Macro (\d+)$/);
+			if (found !== null) {
+				num = Math.max(num, parseInt(found[1]));
+			}
+		}
+		return `Macro ${num + 1}`;
+	},
+
+
+	// Rename a saved macro
+	renameMacro(id, name) {
+
+		let macro = this.getMacros().find(macro => macro.id == id);
+
+		if (macro !== undefined && name !== undefined && name.trim() != '') {
+			macro.name = name.trim();
+			this.saveMacros();
+		}
+	},
+
+
+	// Delete a saved macro
+	deleteMacro(id) {
+
+		let macros = this.getMacros();
+		let idx    = macros.findIndex(macro => macro.id == id);
+
+		if (idx !== -1) {
+			this.log('info', `Deleted ${macros[idx].name}`);
+			macros.splice(idx, 1);
+			this.saveMacros();
+		}
+	},
+
+
+	// Write all the saved macros & sequences to a JSON file
+	exportMacros(fname) {
+
+		try {
+			FS.writeFileSync(fname, JSON.stringify({macros: this.getMacros(), sequences: this.getSequences()}, null, '\t'));
+			this.log('info', `Exported ${this.getMacros().length} macros & ${this.getSequences().length} sequences to ${fname}`);
+		} catch (err) {
+			this.log('error', `Couldn't export macros to ${fname}: ${err.message}`);
+		}
+	},
+
+
+	// Read macros & sequences from a JSON file, adding to or replacing the saved ones
+	importMacros(fname, replace) {
+
+		let imported;
+
+		try {
+			imported = JSON.parse(FS.readFileSync(fname));
+		} catch (err) {
+			this.log('error', `Couldn't import macros from ${fname}: ${err.message}`);
+			return;
+		}
+
+		if (!Array.isArray(imported.macros) && !Array.isArray(imported.sequences)) {
+			this.log('error', `No macros found in ${fname}`);
+			return;
+		}
+
+		if (replace) {
+			this.config.macros    = [];
+			this.config.sequences = [];
+		}
+
+		let macros = this.getMacros();
+		for (let macro of imported.macros || []) {
+			if (typeof macro.name == 'string' && Array.isArray(macro.actions)) {
+				macros.push({id: macros.reduce((max, m) => Math.max(max, m.id), 0) + 1, name: macro.name, actions: macro.actions});
+			}
+		}
+
+		let sequences = this.getSequences();
+		for (let seq of imported.sequences || []) {
+			if (typeof seq.name == 'string' && Array.isArray(seq.steps)) {
+				sequences.push({id: sequences.reduce((max, s) => Math.max(max, s.id), 0) + 1, name: seq.name, steps: seq.steps});
+			}
+		}
+
+		this.log('info', `Imported ${(imported.macros || []).length} macros & ${(imported.sequences || []).length} sequences from ${fname}`);
+		this.saveMacros();
+	},
+
+
+	// Keep the macros & sequences in the config, and update the presets & dropdowns that show them
+	saveMacros() {
+		this.saveConfig();
+		this.actions();
+		this.presets();
+	}
+}
@@ -0,0 +1,74 @@
+/*
+// Console model detection, and the limits that go with each model
+*/
+
+var scpNames = require('./scpNames.json');
+
+module.exports = {
+
+	// Details of the connected console from scpNames.models, if we know it
+	consoleInfo() {
+		return scpNames.models[`${this.productName}`.toUpperCase()];
+	},
+
+
+	// The console has told us what it is, so use the matching parameter set & channel counts
+	consoleDetected() {
+
+		let info = this.consoleInfo();
+
+		if (info == undefined) {
+			this.log('warn', `Unknown console model '${this.productName}', using the ${this.model} parameters`);
+			return;
+		}
+
+		if (info.family != this.config.model) {
+			this.log('warn', `Console is a ${this.productName} but the module is set up for ${this.config.model}, using the ${info.family} parameters`);
+		}
+
+		this.model = info.family;
+		this.loadCommands();
+		this.actions();
+		this.initVariables();
+
+		if (this.syncTimer !== undefined) {
+			this.startSync(); // Start again with the right parameters
+		}
+	},
+
+
+	// Remove parameters & channels the connected console doesn't have
+	applyModelLimits(scpCommands) {
+
+		let info = this.consoleInfo();
+		if (info == undefined) return scpCommands;
+
+		return scpCommands.filter(cmd => {
+			let prefix = cmd.Address.slice(0, cmd.Address.indexOf(":"));
+			return (prefix != 'CL' && prefix != 'QL') || prefix == info.series; // CL & QL custom fader banks are different
+		}).map(cmd => {
+			let addr   = cmd.Address.slice(cmd.Address.indexOf("/") + 1).split("/");
+			let chType = (addr[0] == 'Cue') ? addr[1] : addr[0];
+
+			if (info[chType] !== undefined) {
+				cmd.X = Math.min(cmd.X, info[chType]);
+			}
+			if (addr[1] == 'ToMix') {
+				cmd.Y = Math.min(cmd.Y, info.Mix);
+			}
+			return cmd;
+		});
+	},
+
+
+	// Number of input channels on the console, for the "My Channel" settings
+	maxChannels() {
+
+		let info = this.consoleInfo();
+
+		if (info !== undefined) {
+			return info.InCh;
+		}
+		return (this.config.model == 'TF') ? 40 : 72;
+	}
+}
@@ -0,0 +1,122 @@
+/*
+// One action for many channels/mixes at once: ranges, lists & named channel groups
+*/
+
+module.exports = {
+
+	// Create a Multiple Action (or Feedback) from a parameter's Action: X & Y become lists like "1-8,12" or a group name
+	createMultiAction(scpCmd, scpAction) {
+
+		let multiAction = JSON.parse(JSON.stringify(scpAction));
+
+		multiAction.label = `${scpAction.label} (Multiple)`;
+		multiAction.options = multiAction.options.map(option => {
+			if (option.id != 'X' && option.id != 'Y') return option;
+			return {type: 'textinput', label: `${option.label} (e.g. 1-8,12${(option.id == 'X') ? ' or a group' : ''})`, id: option.id, default: '1'};
+		});
+
+		return multiAction;
+	},
+
+
+	// Add the all/any/none choice to a Multiple Feedback
+	addMultiOptions(multiFeedback) {
+		multiFeedback.options.unshift({type: 'dropdown', label: 'Light when', id: 'match', default: 'all', choices: [
+			{id: 'all',  label: 'All channels match'},
+			{id: 'any',  label: 'Any channel matches'},
+			{id: 'none', label: 'No channels match'}
+		]});
+	},
+
+
+	// Named channel groups from the config, e.g. "Drums=1-8; Vocals=20,22,24"
+	channelGroups() {
+
+		let groups = {};
+
+		for (let group of `${this.config.groups || ''}`.split(';')) {
+			let found = group.match(/^\s*([^=]+?)\s*=\s*(.*?)\s*$/);
+			if (found !== null) {
+				groups[found[1].toLowerCase()] = found[2];
+			}
+		}
+		return groups;
+	},
+
+
+	// Channel numbers from a list like "1-8,12,Drums", up to max
+	channelList(text, max) {
+
+		let groups = this.channelGroups();
+		let nums   = [];
+
+		for (let part of `${text}`.split(',').map(p => p.trim()).filter(p => p != '')) {
+			let found = groups[part.toLowerCase()];
+			for (let n of this.parseRange((found !== undefined) ? found : part, max)) {
+				if (!nums.includes(n)) nums.push(n);
+			}
+		}
+		return nums;
+	},
+
+
+	// Options for each channel/mix a Multiple Action or Feedback covers
+	expandOptions(scpCmd, opt) {
+
+		let xs   = (scpCmd.X > 1) ? this.channelList(opt.X, scpCmd.X) : [1];
+		let ys   = (scpCmd.Y > 1) ? this.channelList(opt.Y, scpCmd.Y) : [1];
+		let opts = [];
+
+		for (let x of xs) {
+			for (let y of ys) {
+				opts.push({...opt, X: x, Y: y});
+			}
+		}
+		return opts;
+	},
+
+
+	// Set a parameter on every channel/mix in the lists
+	multiAction(scpAction, opt) {
+
+		let scpCommand = this.findCommand(scpAction);
+		if (scpCommand == undefined) return;
+
+		let opts = this.expandOptions(scpCommand, opt);
+		if (opts.length == 0) {
+			this.log('warn', `No channels in '${opt.X}' for ${scpCommand.Address}`);
+			return;
+		}
+
+		opts.forEach(o => this.paramAction(scpAction, o));
+	},
+
+
+	// Do all, any or none of the channels/mixes in the lists pass the Feedback's comparison?
+	multiFeedback(scpAction, options) {
+
+		let scpCommand = this.findCommand(scpAction);
+		if (scpCommand == undefined) return false;
+
+		let optVal = (scpCommand.Type == 'integer') ? 0 + options.Val : `${options.Val}`;
+		if (this.isDb(scpCommand)) {
+			optVal = this.rawToDb(scpCommand, this.dbToRaw(scpCommand, options.Val));
+		}
+
+		let opts    = this.expandOptions(scpCommand, options);
+		let matches = opts.filter(o => {
+			let store = this.dataStore[scpAction];
+			let curVal = (store !== undefined && store[o.X] !== undefined) ? store[o.X][o.Y] : undefined;
+			return this.compareValue(scpCommand, curVal, optVal, options);
+		}).length;
+
+		switch(options.match) {
+			case 'any':
+				return matches > 0;
+			case 'none':
+				return matches == 0;
+			default:
+				return opts.length > 0 && matches == opts.length;
+		}
+	}
+}
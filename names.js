@@ -0,0 +1,113 @@
+/*
+// Channel dropdowns that show the names from the console, e.g. "CH37 – Lead Vox"
+*/
+
+var scpNames = require('./scpNames.json');
+
+const NAME_REFRESH = 1000;	// ms to wait for more names before rebuilding the dropdowns
+
+// How each channel type is numbered in the dropdowns
+const CH_PREFIX = {
+	'InCh':    'CH',
+	'StIn':    'ST IN ',
+	'StInCh':  'ST IN ',
+	'FxRtnCh': 'FX RTN ',
+	'Mix':     'MIX',
+	'Mtrx':    'MTRX',
+	'St':      'ST ',
+	'Mono':    'MONO ',
+	'DCA':     'DCA',
+	'DcaCh':   'DCA',
+	'MuteMaster': 'MUTE '
+};
+
+// Custom fader bank entries that are a channel, e.g. "MIX3", and their channel type
+const CUSTOM_CH_TYPES = {'CH': 'InCh', 'MIX': 'Mix', 'MTRX': 'Mtrx', 'DCA': 'DCA'};
+
+// Send destinations, and the channel type whose names they show
+const SEND_CH_TYPES = {'ToMix': 'Mix', 'ToMtrx': 'Mtrx'};
+
+module.exports = {
+
+	// The Label/Name parameter for a channel type, if the console has one
+	nameCommand(chType) {
+		return this.scpCommands.find(cmd => cmd.Address == `MIXER:Current/${chType}/Label/Name`);
+	},
+
+
+	// A channel's name as last reported by the console
+	channelName(chType, ch) {
+
+		let nameCmd = this.nameCommand(chType);
+		if (nameCmd == undefined) return;
+
+		let store = this.dataStore[this.scpId(nameCmd)];
+		return (store !== undefined && store[ch] !== undefined) ? store[ch][1] : undefined;
+	},
+
+
+	// Dropdown choices for the channels of a type, named where we know the name. Input channels get the "My Channel" selectors too
+	channelChoices(chType, count) {
+
+		let choices = (chType == 'InCh') ? this.selectorChoices() : [];
+
+		for (let ch = 1; ch <= count; ch++) {
+			choices.push({id: ch, label: this.channelLabel(chType, ch)});
+		}
+		return choices;
+	},
+
+
+	// A channel's number & name, e.g. "CH37 – Lead Vox"
+	channelLabel(chType, ch) {
+
+		let name  = this.channelName(chType, ch);
+		let label = `${CH_PREFIX[chType] || `${chType} `}${ch}`;
+		return (name == undefined || name == '') ? label : `${label} – ${name}`;
+	},
+
+
+	// Dropdown choices for a channel option: named channels if the console has names for this type, otherwise none
+	channelDropdownChoices(chType, count) {
+
+		if (chType == 'InCh' || this.nameCommand(chType) !== undefined) {
+			return this.channelChoices(chType, count);
+		}
+	},
+
+
+	// Channel type whose names a send's destination (Y) shows, e.g. Mix for InCh/ToMix
+	sendChannelType(sendType) {
+		return SEND_CH_TYPES[sendType];
+	},
+
+
+	// Custom fader bank choices, with the names of the channels in them
+	customChoices() {
+
+		return scpNames.customChNames.map(choice => {
+			let found = `${choice.id}`.match(/^([A-Z]+)(\d+)$/);
+			let name  = (found == null || CUSTOM_CH_TYPES[found[1]] == undefined) ? undefined : this.channelName(CUSTOM_CH_TYPES[found[1]], parseInt(found[2]));
+
+			return (name == undefined || name == '') ? choice : {id: choice.id, label: `${choice.label} – ${name}`};
+		});
+	},
+
+
+	// A channel has a new name, so rebuild the dropdowns once the names stop arriving
+	namesChanged() {
+
+		clearTimeout(this.nameTimer);
+		this.nameTimer = setTimeout(() => {
+			delete this.nameTimer;
+			this.actions();
+		}, NAME_REFRESH);
+	},
+
+
+	// Forget any dropdown rebuild that's waiting
+	stopNames() {
+		clearTimeout(this.nameTimer);
+		delete this.nameTimer;
+	}
+}
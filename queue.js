@@ -0,0 +1,106 @@
+/*
+// Outgoing command queue: paced sending, merged gets, latest set wins, and replies matched to what was sent
+*/
+
+const QUEUE_INTERVAL = 20;		// ms between sends from the queue
+const QUEUE_RATE     = 200;		// Default commands per second
+const REPLY_TIMEOUT  = 10000;	// ms after which we stop waiting for a reply to a command
+
+module.exports = {
+
+	// Key for merging queued commands: the command, address & channel, without the value
+	queueKey(cmd) {
+		return cmd.split(' ').slice(0, 4).join(' ');
+	},
+
+
+	// Add a command to the queue. A queued get for the same parameter is enough, and a newer set replaces an older one
+	queueCmd(cmd, source) {
+
+		let verb = cmd.split(' ')[0];
+		let key  = this.queueKey(cmd);
+
+		if (verb == 'get' || verb == 'set') {
+			let queued = this.sendQueue.find(entry => entry.key == key);
+			if (queued !== undefined) {
+				queued.cmd    = cmd;
+				queued.source = source;
+				return;
+			}
+		}
+
+		this.sendQueue.push({cmd: cmd, key: key, source: source});
+
+		let rate = parseInt(this.config.rate);
+		if (rate == 0) {
+			this.flushQueue(this.sendQueue.length); // No limit
+		} else if (this.queueTimer == undefined) {
+			this.queueTimer = setInterval(() => this.flushQueue(Math.max(1, Math.round((rate || QUEUE_RATE) * QUEUE_INTERVAL / 1000))), QUEUE_INTERVAL);
+		}
+	},
+
+
+	// Send some commands from the front of the queue
+	flushQueue(count) {
+
+		for (let entry of this.sendQueue.splice(0, count)) {
+			if (this.socket == undefined || !this.socket.connected) {
+				this.stopQueue();
+				return;
+			}
+			this.socket.send(`${entry.cmd}\n`); 	// send it, but add a CR to the end
+			this.mirrorCmd(entry.cmd);
+			this.awaitingReply.push({...entry, time: Date.now()});
+		}
+
+		if (this.sendQueue.length == 0 && this.queueTimer !== undefined) {
+			clearInterval(this.queueTimer);
+			delete this.queueTimer;
+		}
+	},
+
+
+	// Throw away anything still to be sent or waiting for a reply
+	stopQueue() {
+		if (this.queueTimer !== undefined) {
+			clearInterval(this.queueTimer);
+			delete this.queueTimer;
+		}
+		this.sendQueue     = [];
+		this.awaitingReply = [];
+	},
+
+
+	// The console answers commands in order, so a reply is for the oldest command still waiting
+	replyTo() {
+
+		let now = Date.now();
+		while (this.awaitingReply.length > 0 && now - this.awaitingReply[0].time > REPLY_TIMEOUT) {
+			this.log('debug', `No reply to '${this.awaitingReply[0].cmd}'`);
+			this.awaitingReply.shift();
+		}
+		return this.awaitingReply.shift();
+	},
+
+
+	// Where a command came from, for the log, e.g. "button 1.5 (yamaha:scp_MIXER_Current_InCh_Fader_On)"
+	cmdSource(action, info) {
+
+		let where = (info !== undefined && info.page !== undefined) ? `button ${info.page}.${info.bank}` : 'action';
+		return `${where} (${action.label || action.action})`;
+	},
+
+
+	// Run fn with commands it sends logged against origin
+	withOrigin(origin, fn) {
+
+		let previous = this.cmdOrigin;
+
+		this.cmdOrigin = origin;
+		try {
+			fn();
+		} finally {
+			this.cmdOrigin = previous;
+		}
+	}
+}
@@ -0,0 +1,142 @@
+/*
+// Raw SCP commands, for parameters & verbs without their own actions, with replies kept in variables
+*/
+
+module.exports = {
+
+	// Variables named in raw command actions, and the rawKey() each shows. Kept in the config so they're there after a restart
+	getRawVars() {
+		if (this.config.rawVars == undefined || typeof this.config.rawVars !== 'object') {
+			this.config.rawVars = {};
+		}
+		return this.config.rawVars;
+	},
+
+
+	// Fill in Companion variables, and {mych1} etc. with a My Channel as the console numbers it (from 0)
+	rawTemplate(text) {
+
+		let cmd = `${text || ''}`;
+
+		this.parseVariables(cmd, (value) => {
+			cmd = value;
+		});
+		cmd = cmd.replace(/\{mych(\d+)\}/gi, (match, num) => this.selectorChannel(parseInt(num)) - 1);
+
+		return cmd.trim();
+	},
+
+
+	// What a reply to a command starts with, so a set & a get of the same parameter share one value
+	rawKey(cmd) {
+
+		let tokens = this.parseLine(cmd);
+		if (tokens.length == 0) return '';
+
+		if (tokens[0] == 'get' || tokens[0] == 'set') {
+			return `get ${tokens.slice(1, 4).join(' ')}`;
+		}
+		return tokens.join(' ');
+	},
+
+
+	// Listen for replies to a command
+	watchRaw(key) {
+		if (!(key in this.rawValues)) {
+			this.rawValues[key] = undefined;
+		}
+	},
+
+
+	// Send a raw command, keeping its replies in a variable if one is named
+	sendRaw(opt) {
+
+		let cmd = this.rawTemplate(opt.cmd);
+		if (cmd == '') {
+			this.log('warn', 'Raw SCP command is empty');
+			return;
+		}
+
+		let key = this.rawKey(cmd);
+		this.watchRaw(key);
+
+		let name = `${opt.variable || ''}`.trim().replace(/[^A-Za-z0-9_]/g, '_');
+		let rawVars = this.getRawVars();
+		if (name != '' && rawVars[name] != key) {
+			let isNew = rawVars[name] == undefined;
+
+			rawVars[name] = key;
+			this.saveConfig();
+			if (isNew) {
+				this.initVariables();
+			}
+			this.setVariable(name, (this.rawValues[key] !== undefined) ? this.rawValues[key] : '');
+		}
+
+		this.sendCmd(cmd);
+	},
+
+
+	// Ask again for the values shown in raw reply variables, e.g. after connecting
+	pollRaw() {
+
+		let rawVars = this.getRawVars();
+		for (let name in rawVars) {
+			this.watchRaw(rawVars[name]);
+			if (rawVars[name].startsWith('get ')) {
+				this.sendCmd(rawVars[name]);
+			}
+		}
+	},
+
+
+	// Keep any reply to a raw command. Errors are kept too, so a variable shows why a command failed
+	rawReply(status, tokens, sent) {
+
+		if (status == 'ERROR' || status == 'NG') {
+			if (sent !== undefined && this.rawKey(sent.cmd) in this.rawValues) {
+				this.rawValue(this.rawKey(sent.cmd), tokens.join(' '));
+			}
+			return;
+		}
+
+		if (tokens[1] == 'get' || tokens[1] == 'set') {
+			let key = `get ${tokens.slice(2, 5).join(' ')}`;
+			if (!(key in this.rawValues) || tokens[5] == undefined) return;
+
+			let scpCmd = this.scpCommands.find(cmd => cmd.Address == tokens[2]);
+			this.rawValue(key, (scpCmd !== undefined && this.isDb(scpCmd)) ? this.formatDb(this.rawToDb(scpCmd, tokens[5])) : tokens[5]);
+			return;
+		}
+
+		let reply = tokens.slice(1).join(' ');
+		let key   = Object.keys(this.rawValues).find(k => reply == k || reply.startsWith(`${k} `));
+		if (key !== undefined) {
+			this.rawValue(key, reply.slice(key.length).trim());
+		}
+	},
+
+
+	// A new value for a raw command: update its variables & feedbacks
+	rawValue(key, val) {
+
+		this.rawValues[key] = val;
+		let rawVars = this.getRawVars();
+		for (let name in rawVars) {
+			if (rawVars[name] == key) {
+				this.setVariable(name, val);
+			}
+		}
+		this.checkFeedbacks('rawValue');
+	},
+
+
+	// Does a raw command's latest reply match the Feedback's value?
+	rawFeedback(options) {
+
+		let key = this.rawKey(this.rawTemplate(options.cmd));
+
+		this.watchRaw(key);
+		return this.rawValues[key] !== undefined && `${this.rawValues[key]}` == `${options.Val}`.trim();
+	}
+}
@@ -0,0 +1,158 @@
+/*
+// Scene list & titles read from the console, current scene tracking, and next/previous scene recall
+*/
+
+const SCENE_INTERVAL = 100;		// ms between batches of ssinfo_ex requests
+const SCENE_BATCH    = 20;		// requests sent per batch
+const SCENE_TIMEOUT  = 1000;	// ms to wait for the last replies
+
+module.exports = {
+
+	// The scene parameter from the parameter file
+	sceneCommand() {
+		return this.scpCommands.find(cmd => cmd.Type == 'scene');
+	},
+
+
+	// Key for a scene in the scene list, e.g. "12" or on the TF "b12"
+	sceneKey(sceneNum, bank) {
+		return (this.model == 'TF') ? `${`${bank || 'a'}`.toLowerCase()}${parseInt(sceneNum)}` : `${parseInt(sceneNum)}`;
+	},
+
+
+	// Scene library address to ask about, e.g. "MIXER:Lib/Scene" or on the TF "scene_b"
+	sceneAddress(bank) {
+		return (this.model == 'TF') ? `scene_${`${bank || 'a'}`.toLowerCase()}` : 'MIXER:Lib/Scene';
+	},
+
+
+	// Dropdown choices for every scene number, with the titles we know
+	sceneChoices() {
+
+		let scnCmd  = this.sceneCommand();
+		let choices = [];
+		if (scnCmd == undefined) return choices;
+
+		for (let n = 1; n <= scnCmd.X; n++) {
+			let label = `${n}`;
+
+			if (this.model == 'TF') {
+				for (let bank of ['a', 'b']) {
+					let title = this.sceneList[this.sceneKey(n, bank)];
+					if (title !== undefined) label += `  ${bank.toUpperCase()}: ${title}`;
+				}
+			} else if (this.sceneList[this.sceneKey(n)] !== undefined) {
+				label += `: ${this.sceneList[this.sceneKey(n)]}`;
+			}
+			choices.push({id: n, label: label});
+		}
+		return choices;
+	},
+
+
+	// Ask the console for the title of every scene, a batch at a time
+	startSceneList() {
+
+		let scnCmd = this.sceneCommand();
+		if (scnCmd == undefined) return;
+
+		this.stopSceneList();
+		this.sceneList = {};
+
+		let queue = [this.parseCmd('get', this.scpId(scnCmd), {X: 1, Y: 'a'})]; // Which scene is loaded now
+		for (let bank of (this.model == 'TF') ? ['a', 'b'] : [undefined]) {
+			for (let n = 1; n <= scnCmd.X; n++) {
+				queue.push(`ssinfo_ex ${this.sceneAddress(bank)} ${n}`);
+			}
+		}
+
+		this.sceneListTimer = setInterval(() => {
+			if (this.socket == undefined || !this.socket.connected) {
+				this.stopSceneList();
+				return;
+			}
+
+			queue.splice(0, SCENE_BATCH).forEach(cmd => this.sendCmd(cmd));
+
+			if (queue.length == 0) {
+				this.stopSceneList();
+				this.sceneListWait = setTimeout(() => {
+					delete this.sceneListWait;
+					this.log('info', `Read ${Object.keys(this.sceneList).length} scene titles from console`);
+					this.actions(); // So the scene dropdowns show the titles
+				}, SCENE_TIMEOUT);
+			}
+		}, SCENE_INTERVAL);
+	},
+
+
+	// Stop reading the scene list
+	stopSceneList() {
+		clearInterval(this.sceneListTimer);
+		clearTimeout(this.sceneListWait);
+		delete this.sceneListTimer;
+		delete this.sceneListWait;
+	},
+
+
+	// Scene title reply, e.g. OK ssinfo_ex MIXER:Lib/Scene 5 "Scene Title" ...
+	updateSceneName(tokens) {
+
+		if (tokens.length < 5) return;
+
+		let bank = (this.model == 'TF') ? tokens[2].slice(-1) : undefined;
+		let key  = this.sceneKey(tokens[3], bank);
+
+		this.sceneList[key] = tokens[4];
+
+		if (this.currentScene !== undefined && key == this.sceneKey(this.currentScene.num, this.currentScene.bank)) {
+			this.setVariable('scene_name', tokens[4]);
+		}
+	},
+
+
+	// The console has reported a new current scene
+	updateScene(sceneNum, bank) {
+
+		let scene = (bank == undefined) ? `${sceneNum}` : `${bank.toUpperCase()}${sceneNum}`;
+		let key   = this.sceneKey(sceneNum, bank);
+
+		this.currentScene = {num: parseInt(sceneNum), bank: bank};
+		this.setVariable('scene_number', scene);
+		this.setVariable('scene_name', this.sceneList[key] || '');
+		this.checkFeedbacks('sceneCurrent');
+
+		// Ask for the scene's title, it may have changed since we read the list
+		this.sendCmd(`ssinfo_ex ${this.sceneAddress(bank)} ${sceneNum}`);
+	},
+
+
+	// Is this the scene the console last reported?
+	isCurrentScene(sceneNum, bank) {
+		return this.currentScene !== undefined && this.sceneKey(sceneNum, bank) == this.sceneKey(this.currentScene.num, this.currentScene.bank);
+	},
+
+
+	// Recall the next (step 1) or previous (step -1) scene in the list, staying in the current TF bank
+	stepScene(step) {
+
+		let scnCmd = this.sceneCommand();
+		if (scnCmd == undefined) return;
+
+		let bank = (this.currentScene == undefined) ? 'a' : this.currentScene.bank;
+		let num  = (this.currentScene == undefined) ? 0 : this.currentScene.num;
+		let known = Object.keys(this.sceneList).length > 0;
+
+		// Skip numbers with no stored scene once we know which ones there are
+		do {
+			num += step;
+		} while (known && num >= 1 && num <= scnCmd.X && this.sceneList[this.sceneKey(num, bank)] == undefined);
+
+		if (num < 1 || num > scnCmd.X) {
+			this.log('info', `No ${(step > 0) ? 'next' : 'previous'} scene to recall`);
+			return;
+		}
+
+		this.sendCmd(this.parseCmd('set', this.scpId(scnCmd), {X: num, Y: bank || 'a'}));
+	}
+}
@@ -0,0 +1,74 @@
+/*
+// "My Channel" selectors: named slots holding a channel number, changed from buttons at runtime
+*/
+
+module.exports = {
+
+	// Names of all the selectors: the four "My Channel" settings, then any more from the config
+	selectorNames() {
+
+		let names = [];
+
+		for (let i = 1; i <= 4; i++) {
+			names.push(this.config[`myChName${i}`] || `My Channel ${i}`);
+		}
+		for (let name of `${this.config.selectors || ''}`.split(',')) {
+			if (name.trim() != '') names.push(name.trim());
+		}
+		return names;
+	},
+
+
+	// Dropdown choices for the selectors. Their ids are negative, so they can go in a channel dropdown
+	selectorChoices() {
+		return this.selectorNames().map((name, i) => ({id: `-${i + 1}`, label: name}));
+	},
+
+
+	// Channel a selector is set to (kept in the config as myCh1, myCh2...)
+	selectorChannel(num) {
+		return parseInt(this.config[`myCh${num}`]) || 1;
+	},
+
+
+	// Channel number for an X option, which may be a selector
+	resolveChannel(x) {
+		return (x > 0) ? x : this.selectorChannel(-x);
+	},
+
+
+	// Point a selector at a channel, and update every button that uses it
+	setSelector(id, ch) {
+
+		let num = -parseInt(id);
+		if (!(num >= 1 && num <= this.selectorNames().length)) return;
+
+		ch = Math.min(Math.max(parseInt(ch) || 1, 1), this.maxChannels());
+		if (ch == this.selectorChannel(num)) return;
+
+		this.config[`myCh${num}`] = ch;
+		this.saveConfig();
+		this.setVariable(`mych_${num}`, ch);
+
+		this.checkFeedbacks();
+		this.pollSelector(id);
+	},
+
+
+	// Move a selector up or down by a number of channels
+	stepSelector(id, step) {
+		this.setSelector(id, this.selectorChannel(-parseInt(id)) + parseInt(step));
+	},
+
+
+	// Ask the console for everything the buttons using a selector show
+	pollSelector(id) {
+
+		let allFeedbacks = this.getAllFeedbacks();
+		for (let fb in allFeedbacks) {
+			if (this.id == allFeedbacks[fb].instance_id && allFeedbacks[fb].options.X == id) {
+				this.sendCmd(this.parseCmd('get', allFeedbacks[fb].type, allFeedbacks[fb].options));
+			}
+		}
+	}
+}
@@ -0,0 +1,143 @@
+/*
+// Timed sequences: every change recorded with its time, played back as a cue
+*/
+
+const SEQ_LOOP_GAP = 100;	// ms between the last step and the first when looping
+
+module.exports = {
+
+	// The saved sequences
+	getSequences() {
+		if (!Array.isArray(this.config.sequences)) {
+			this.config.sequences = [];
+		}
+		return this.config.sequences;
+	},
+
+
+	// Dropdown choices for picking a saved sequence
+	sequenceChoices() {
+		return this.getSequences().map(seq => ({id: seq.id, label: seq.name}));
+	},
+
+
+	// Preset to play a saved sequence
+	sequencePreset(seq) {
+		return {
+			category: 'Sequences',
+			label: seq.name,
+			bank: {
+				style: 'text',
+				text: seq.name,
+				size: 'auto',
+				color: this.rgb(255,255,255),
+				bgcolor: this.rgb(0,0,0)
+			},
+			actions: 	[{action: 'seqPlay', options: {sequence: seq.id, speed: 1}}],
+			feedbacks: 	[{type: 'seqRunning', options: {sequence: seq.id}}]
+		};
+	},
+
+
+	// Start recording a new sequence
+	startSeqRec() {
+
+		let num = 0;
+		for (let seq of this.getSequences()) {
+			let found = seq.name.match(/^Sequence (\d+)$/);
+			if (found !== null) {
+				num = Math.max(num, parseInt(found[1]));
+			}
+		}
+
+		this.recSequence = {id: this.getSequences().reduce((max, seq) => Math.max(max, seq.id), 0) + 1, name: `Sequence ${num + 1}`, steps: []};
+		this.seqRec = true;
+	},
+
+
+	// Stop recording, and keep the sequence if anything was recorded
+	stopSeqRec() {
+
+		this.seqRec = false;
+
+		if (this.recSequence.steps.length > 0) {
+			this.getSequences().push(this.recSequence);
+			this.log('info', `Recorded ${this.recSequence.name} with ${this.recSequence.steps.length} steps`);
+			this.saveMacros();
+		}
+		delete this.recSequence;
+	},
+
+
+	// Add a change to the sequence being recorded, timed from the first change
+	addSequenceStep(c) {
+
+		if (!this.seqRec) return;
+
+		let steps = this.recSequence.steps;
+		let now   = Date.now();
+
+		if (steps.length == 0) {
+			this.seqRecStart = now;
+		}
+
+		steps.push({time: now - this.seqRecStart, ...this.macroAction(c)});
+	},
+
+
+	// Delete a saved sequence
+	deleteSequence(id) {
+
+		let sequences = this.getSequences();
+		let idx       = sequences.findIndex(seq => seq.id == id);
+
+		if (idx !== -1) {
+			this.stopSequence(id);
+			this.log('info', `Deleted ${sequences[idx].name}`);
+			sequences.splice(idx, 1);
+			this.saveMacros();
+		}
+	},
+
+
+	// Play a sequence's steps at their recorded times, divided by the speed
+	playSequence(id, speed, loop) {
+
+		let seq = this.getSequences().find(seq => seq.id == id);
+		if (seq == undefined) return;
+
+		speed = (speed > 0) ? speed : 1;
+		this.stopSequence(id);
+
+		let playStep = (idx) => {
+			let step = seq.steps[idx];
+
+			this.action({action: step.action, options: step.options});
+
+			if (idx + 1 < seq.steps.length) {
+				this.seqTimers[id] = setTimeout(() => playStep(idx + 1), (seq.steps[idx + 1].time - step.time) / speed);
+			} else if (loop) {
+				this.seqTimers[id] = setTimeout(() => playStep(0), SEQ_LOOP_GAP / speed);
+			} else {
+				delete this.seqTimers[id];
+				this.checkFeedbacks('seqRunning');
+			}
+		};
+
+		this.seqTimers[id] = setTimeout(() => playStep(0), 0);
+		this.checkFeedbacks('seqRunning');
+	},
+
+
+	// Stop a running sequence, or all of them
+	stopSequence(id) {
+
+		for (let seqId in this.seqTimers) {
+			if (id == undefined || id == 'all' || seqId == id) {
+				clearTimeout(this.seqTimers[seqId]);
+				delete this.seqTimers[seqId];
+			}
+		}
+		this.checkFeedbacks('seqRunning');
+	}
+}
@@ -0,0 +1,124 @@
+/*
+// Show lock: block, or ask for a second press on, actions for protected parameters
+*/
+
+const LOCK_CONFIRM = 2000;	// ms to press the button again to confirm
+
+module.exports = {
+
+	// Is the show lock on?
+	isLocked() {
+		return this.config.showLocked == true;
+	},
+
+
+	// Turn the show lock on, off or toggle it
+	setShowLock(mode) {
+
+		let locked = (mode == 'toggle') ? !this.isLocked() : (mode == 'lock');
+		if (locked == this.isLocked()) return;
+
+		this.config.showLocked = locked;
+		this.saveConfig();
+		this.disarmLock();
+
+		this.log('info', `Show lock ${locked ? 'on' : 'off'}`);
+		this.setVariable('show_lock', locked ? 'Locked' : 'Unlocked');
+		this.checkFeedbacks('showLock');
+	},
+
+
+	// The protected address an Action would change, if any
+	lockedAddress(action) {
+
+		let addresses = [];
+
+		if (action.action.startsWith('scp_')) {
+			let scpCmd = this.findCommand(action.action.replace(/_(rel|toggle|fade|multi)$/, ''));
+			if (scpCmd !== undefined) addresses.push(scpCmd.Address);
+		}
+
+		if (action.action == 'rawCmd') {
+			let tokens = this.parseLine(this.rawTemplate(action.options.cmd));
+			if (tokens[0] == 'set' || tokens[0] == 'ssrecall_ex') addresses.push(tokens[1]);
+		}
+
+		if (action.action == 'sceneNext' || action.action == 'scenePrev') {
+			if (this.sceneCommand() !== undefined) addresses.push(this.sceneCommand().Address);
+		}
+
+		if (action.action == 'snapRecall') {
+			let snap = this.getSnapshots().find(s => s.id == action.options.snapshot);
+			if (snap !== undefined) {
+				snap.values.forEach(value => {
+					let scpCmd = this.findCommand(value.action);
+					if (scpCmd !== undefined) addresses.push(scpCmd.Address);
+				});
+			}
+		}
+
+		return addresses.find(address => this.config.lockParams && this.addressMatches(address, this.config.lockParams));
+	},
+
+
+	// May this Action go ahead? Blocks it, or waits for a second press, when it touches a protected parameter
+	lockAllows(action) {
+
+		if (!this.isLocked()) return true;
+
+		let address = this.lockedAddress(action);
+		if (address == undefined) return true;
+
+		if (this.config.lockMode != 'confirm') {
+			this.log('warn', `Show lock: blocked ${address} from ${this.cmdOrigin || 'module'}`);
+			return false;
+		}
+
+		// Every protected action on the button is armed, so a second press lets all of them through
+		let origin = this.cmdOrigin || 'module';
+		let key    = JSON.stringify({origin: origin, action: action.action, options: action.options});
+
+		if (this.lockArmed !== undefined && this.lockArmed.keys[key] > 0) {
+			if (--this.lockArmed.keys[key] == 0) delete this.lockArmed.keys[key];
+			if (Object.keys(this.lockArmed.keys).length == 0) this.disarmLock();
+			this.log('info', `Show lock: confirmed ${address} from ${origin}`);
+			return true;
+		}
+
+		if (this.lockArmed == undefined) {
+			this.lockArmed = {keys: {}};
+		}
+		clearTimeout(this.lockArmed.timer);
+		this.lockArmed.keys[key] = (this.lockArmed.keys[key] || 0) + 1;
+		this.lockArmed.timer = setTimeout(() => this.disarmLock(), LOCK_CONFIRM);
+
+		this.log('warn', `Show lock: blocked ${address} from ${origin}, press again within ${LOCK_CONFIRM / 1000}s to confirm`);
+		this.checkFeedbacks('showLock');
+		return false;
+	},
+
+
+	// Forget a press waiting for confirmation
+	disarmLock() {
+
+		if (this.lockArmed == undefined) return;
+
+		clearTimeout(this.lockArmed.timer);
+		delete this.lockArmed;
+		this.checkFeedbacks('showLock');
+	},
+
+
+	// Does the lock's state match the feedback's choice?
+	lockState(state) {
+
+		switch(state) {
+			case 'armed':
+				return this.lockArmed !== undefined;
+			case 'unlocked':
+				return !this.isLocked();
+			default:
+				return this.isLocked();
+		}
+	}
+}
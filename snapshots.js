@@ -0,0 +1,212 @@
+/*
+// Module-side snapshots of chosen parameters, recalled with recall-safe filters and an optional fade
+*/
+
+const SNAP_INTERVAL = 100;	// ms between batches of gets for a fresh capture
+const SNAP_BATCH    = 20;	// gets sent per batch
+const SNAP_TIMEOUT  = 3000;	// ms to wait for the last replies
+
+module.exports = {
+
+	// The saved snapshots
+	getSnapshots() {
+		if (!Array.isArray(this.config.snapshots)) {
+			this.config.snapshots = [];
+		}
+		return this.config.snapshots;
+	},
+
+
+	// Dropdown choices for picking a saved snapshot
+	snapshotChoices() {
+		return this.getSnapshots().map(snap => ({id: snap.id, label: snap.name}));
+	},
+
+
+	// Every parameter/channel/mix matching the filters, as action options without a value
+	snapshotTargets(opt) {
+
+		let targets = [];
+
+		for (let cmd of this.scpCommands) {
+			if (cmd.Type == 'scene' || cmd.RW == 'r' || !this.addressMatches(cmd.Address, opt.prefix)) continue;
+
+			for (let x of this.parseRange(opt.channels, Math.max(cmd.X, 1))) {
+				for (let y of (cmd.Y > 1) ? this.parseRange(opt.mixes, cmd.Y) : [1]) { // Mixes only filter parameters that have them
+					targets.push({action: this.scpId(cmd), scp: cmd, options: {X: x, Y: y}});
+				}
+			}
+		}
+
+		return targets;
+	},
+
+
+	// Capture the matching parameters, from what we know or by asking the console for all of them
+	captureSnapshot(opt) {
+
+		let targets = this.snapshotTargets(opt);
+		let snap    = {
+			id:     this.getSnapshots().reduce((max, snap) => Math.max(max, snap.id), 0) + 1,
+			name:   (opt.name || '').trim() || `Snapshot ${this.getSnapshots().length + 1}`,
+			safe:   {prefix: opt.safePrefix || '', channels: opt.safeChannels || ''},
+			values: []
+		};
+
+		let addValue = (target, val) => {
+			if (val !== undefined) {
+				snap.values.push({action: target.action, options: {...target.options, Val: this.optionValue(target.scp, val)}});
+			}
+		};
+
+		if (targets.length == 0) {
+			this.log('warn', `Snapshot '${snap.name}': no parameters match '${opt.prefix}'`);
+			return;
+		}
+
+		if (opt.source != 'fresh') {
+			for (let target of targets) {
+				let [optX, optY] = this.resolveXY(target.options);
+				let store = this.dataStore[target.action];
+				addValue(target, (store !== undefined && store[optX] !== undefined) ? store[optX][optY] : undefined);
+			}
+			this.saveSnapshot(snap, targets.length);
+			return;
+		}
+
+		if (this.socket == undefined || !this.socket.connected) {
+			this.log('warn', `Snapshot '${snap.name}': can't read from the console, it isn't connected`);
+			return;
+		}
+
+		// Fresh capture: ask for everything, a batch at a time
+		this.stopSnapshotCapture();
+
+		let waiting = targets.length;
+		this.snapTimer = setInterval(() => {
+			let batch = targets.splice(0, SNAP_BATCH);
+
+			for (let target of batch) {
+				this.getValue(target.action, target.options, (val) => {
+					addValue(target, val);
+					if (--waiting == 0) {
+						this.stopSnapshotCapture();
+						this.saveSnapshot(snap, snap.values.length);
+					}
+				}, {fresh: true});
+			}
+
+			if (targets.length == 0 && waiting > 0) {
+				clearInterval(this.snapTimer);
+				this.snapTimeout = setTimeout(() => {
+					this.log('warn', `Snapshot '${snap.name}': ${waiting} values didn't arrive from the console`);
+					waiting = -1; // Don't save again if they turn up later
+					this.stopSnapshotCapture();
+					this.saveSnapshot(snap, snap.values.length);
+				}, SNAP_TIMEOUT);
+			}
+		}, SNAP_INTERVAL);
+	},
+
+
+	// Stop a fresh capture that's still asking for values
+	stopSnapshotCapture() {
+		clearInterval(this.snapTimer);
+		clearTimeout(this.snapTimeout);
+		delete this.snapTimer;
+		delete this.snapTimeout;
+	},
+
+
+	// Value from the dataStore as an action option, e.g. "-10.50" or true
+	optionValue(scpCmd, val) {
+
+		if (scpCmd.Type == 'integer') {
+			if (scpCmd.Max == 1) return (val != 0);
+			if (this.isDb(scpCmd)) return this.formatDb(val);
+			return parseInt(val);
+		}
+		return val;
+	},
+
+
+	// Keep a captured snapshot, replacing one with the same name
+	saveSnapshot(snap, count) {
+
+		let snapshots = this.getSnapshots();
+		let idx       = snapshots.findIndex(s => s.name == snap.name);
+
+		if (idx !== -1) {
+			snap.id = snapshots[idx].id;
+			snapshots[idx] = snap;
+		} else {
+			snapshots.push(snap);
+		}
+
+		this.log('info', `Snapshot '${snap.name}' captured ${snap.values.length} of ${count} values`);
+		this.saveSnapshots();
+	},
+
+
+	// Change a snapshot's recall-safe filters
+	setSnapshotSafe(id, prefix, channels) {
+
+		let snap = this.getSnapshots().find(snap => snap.id == id);
+
+		if (snap !== undefined) {
+			snap.safe = {prefix: prefix || '', channels: channels || ''};
+			this.saveSnapshots();
+		}
+	},
+
+
+	// Recall a snapshot, leaving out anything recall-safe, fading levels if there's a fade time
+	recallSnapshot(id, time) {
+
+		let snap = this.getSnapshots().find(snap => snap.id == id);
+		if (snap == undefined) return;
+
+		let safeChannels = (snap.safe.channels.trim() == '') ? [] : this.parseRange(snap.safe.channels, Number.MAX_SAFE_INTEGER);
+		let recalled     = 0;
+
+		for (let value of snap.values) {
+			let scpCmd = this.findCommand(value.action);
+			if (scpCmd == undefined) continue;
+
+			if ((snap.safe.prefix.trim() != '' && this.addressMatches(scpCmd.Address, snap.safe.prefix)) ||
+				safeChannels.includes(parseInt(value.options.X))) {
+				continue;
+			}
+
+			if (time > 0 && this.isLevel(scpCmd)) {
+				this.fadeAction(value.action, {...value.options, Time: time, Curve: 'linear'});
+			} else {
+				this.paramAction(value.action, value.options);
+			}
+			recalled++;
+		}
+
+		this.log('info', `Snapshot '${snap.name}' recalled ${recalled} of ${snap.values.length} values`);
+	},
+
+
+	// Delete a saved snapshot
+	deleteSnapshot(id) {
+
+		let snapshots = this.getSnapshots();
+		let idx       = snapshots.findIndex(snap => snap.id == id);
+
+		if (idx !== -1) {
+			this.log('info', `Deleted snapshot '${snapshots[idx].name}'`);
+			snapshots.splice(idx, 1);
+			this.saveSnapshots();
+		}
+	},
+
+
+	// Keep the snapshots in the config, and update the dropdowns that show them
+	saveSnapshots() {
+		this.saveConfig();
+		this.actions();
+	}
+}
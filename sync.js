@@ -0,0 +1,60 @@
+/*
+// Full state synchronisation: ask the console for every supported parameter
+*/
+
+const SYNC_INTERVAL = 100;	// ms between batches
+const SYNC_BATCH    = 20;	// gets sent per batch
+
+module.exports = {
+
+	// Queue a get for every parameter on every channel, and start sending them
+	startSync() {
+
+		this.stopSync();
+
+		for (let cmd of this.scpCommands) {
+			let scpAction = this.scpId(cmd);
+
+			if (cmd.Type == 'scene') {
+				this.syncQueue.push(this.parseCmd('get', scpAction, {X: 1, Y: 'a'}));
+				continue;
+			}
+
+			for (let x = 1; x <= Math.max(cmd.X, 1); x++) {
+				for (let y = 1; y <= Math.max(cmd.Y, 1); y++) {
+					this.syncQueue.push(this.parseCmd('get', scpAction, {X: x, Y: y}));
+				}
+			}
+		}
+
+		let total = this.syncQueue.length;
+		this.log('info', `Synchronising ${total} parameters from the console`);
+
+		this.syncTimer = setInterval(() => {
+			if (this.socket == undefined || !this.socket.connected) {
+				this.stopSync();
+				return;
+			}
+
+			this.syncQueue.splice(0, SYNC_BATCH).forEach(cmd => this.sendCmd(cmd));
+
+			if (this.syncQueue.length == 0) {
+				this.stopSync();
+				this.status(this.STATUS_OK);
+				this.log('info', 'Synchronisation complete');
+			} else {
+				this.status(this.STATUS_WARNING, `Syncing ${Math.round((total - this.syncQueue.length) / total * 100)}%`);
+			}
+		}, SYNC_INTERVAL);
+	},
+
+
+	// Stop a running synchronisation
+	stopSync() {
+		if (this.syncTimer !== undefined) {
+			clearInterval(this.syncTimer);
+			delete this.syncTimer;
+		}
+		this.syncQueue = [];
+	}
+}
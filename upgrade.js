@@ -13,20 +13,20 @@ module.exports = {
             var changed = false;
             console.log('Running 1.1.1 -> 1.1.2 Upgrade.')
         
-            let checkUpgrade = function(action, changed) {
+            let checkUpgrade = (action, changed) => {
                 let newAction = '';
 
                 switch (action.action) {
                         case 'InChOn':
                             // cmd = 'set MIXER:Current/InCh/Fader/On '+ opt.Ch + ' 0 1';
                             newAction          = 186;
-                            action.options.X   = actions.options.Ch;
+                            action.options.X   = action.options.Ch;
                             action.options.Val = 1;
                             break;
                         case 'InChOff':
                             // cmd = 'set MIXER:Current/InCh/Fader/On '+ opt.Ch + ' 0 0';
                             newAction          = 186;
-                            action.options.X   = actions.options.Ch;
+                            action.options.X   = action.options.Ch;
                             action.options.Val = 0;
                             break;
                         case 'InChLevel':
@@ -35,19 +35,22 @@ module.exports = {
                             action.options.X   = action.options.Ch;
                             action.options.Val = action.options.ChAct;
                             break;
-                        case 'AuxOn', 'MixOn':
+                        case 'AuxOn':
+                        case 'MixOn':
                             // cmd = 'set MIXER:Current/Mix/Fader/On '+ opt.Ch + ' 0 1';
                             newAction          = 187;
                             action.options.X   = action.options.Ch;
                             action.options.Val = 1;
                             break;
-                        case 'AuxOff', 'MixOff':
+                        case 'AuxOff':
+                        case 'MixOff':
                             // cmd = 'set MIXER:Current/Mix/Fader/On '+ opt.Ch + ' 0 0';
                             newAction          = 187;
                             action.options.X   = action.options.Ch;
                             action.options.Val = 0;
                             break;
-                        case 'AuxLevel', 'MixLevel':
+                        case 'AuxLevel':
+                        case 'MixLevel':
                             // cmd = 'set MIXER:Current/Mix/Fader/Level ' + opt.Ch + ' 0 ' + opt.ChAct;
                             newAction 			= 185;
                             action.options.X 	= action.options.Ch;
@@ -110,17 +113,62 @@ module.exports = {
             console.log('Running 1.1.2 -> 1.1.3 Upgrade.')
             var changed = false;
 
-            let checkUpgrade = function(action, changed) {
+            let checkUpgrade = (action, changed) => {
+                let key = (action.action !== undefined) ? 'action' : 'type';
                 let newAction = '';
 
-                if(action.action.substring(0, 4) != 'scp_') {
-                    newAction = action.action;
+                if(/^\d+$/.test(action[key])) {
+                    newAction = action[key];
                 } 
 
                 if(newAction != '') {
-                    console.log(`Action ${action.action} => scp_${newAction}`);
-                    action.action = 'scp_' + newAction;
-                    action.label = this.id + ':' + action.action;
+                    console.log(`Action ${action[key]} => scp_${newAction}`);
+                    action[key] = 'scp_' + newAction;
+                    if (action.label !== undefined) {
+                        action.label = this.id + ':' + action[key];
+                    }
+                    changed = true;
+                }
+
+                return changed;
+            }
+
+            for (let k in actions) {
+                changed = checkUpgrade(actions[k], changed);
+            }
+
+            for (let k in releaseActions) {
+                changed = checkUpgrade(releaseActions[k], changed);
+            }
+
+            for (let k in feedbacks) {
+                changed = checkUpgrade(feedbacks[k], changed);
+            }
+
+            return changed;
+        })
+
+        // Upgrade to levels in dB
+        this.addUpgradeScript((config, actions, releaseActions, feedbacks) => {
+            console.log('Running dB levels Upgrade.')
+            var changed = false;
+            let scpCommands = this.readParamFile(config.model);
+
+            // Levels, HA gain & thresholds are now entered in dB instead of raw values
+            let checkUpgrade = (action, changed) => {
+                let actionId = (action.action !== undefined) ? action.action : action.type;
+                let scpCmd = scpCommands.find(cmd => 'scp_' + cmd.Index == actionId.replace(/_rel$/, ''));
+
+                if (scpCmd == undefined || !this.isDb(scpCmd) || action.options == undefined) {
+                    return changed;
+                }
+
+                if (action.options.Val !== undefined && !isNaN(parseInt(action.options.Val))) {
+                    action.options.Val = this.formatDb(this.rawToDb(scpCmd, action.options.Val));
+                    changed = true;
+                }
+                if (action.options.Step !== undefined) {
+                    action.options.Step = action.options.Step / scpCmd.Scale;
                     changed = true;
                 }
 
@@ -141,5 +189,60 @@ module.exports = {
 
             return changed;
         })
+
+        // Upgrade to ids from SCP addresses
+        this.addUpgradeScript((config, actions, releaseActions, feedbacks) => {
+            console.log('Running SCP address ids Upgrade.')
+            var changed = false;
+            let scpCommands = this.readParamFile(config.model); // The old numbers came from the bundled files, never from a discovered list
+
+            // Actions & feedbacks are now named after the SCP address (see scpId) instead of the line number in the parameter file
+            let checkUpgrade = (action, changed) => {
+                let key   = (action.action !== undefined) ? 'action' : 'type';
+                let found = `${action[key]}`.match(/^scp_(\d+)(_rel|_toggle|_fade|_multi)?$/);
+
+                if (found == null) {
+                    return changed;
+                }
+
+                let scpCmd = scpCommands.find(cmd => cmd.Index == found[1]);
+                if (scpCmd == undefined) {
+                    this.log('warn', `A button uses '${action[key]}', which isn't supported any more. Edit the button and choose the parameter again`);
+                    return changed;
+                }
+
+                console.log(`Action ${action[key]} => ${this.scpId(scpCmd)}${found[2] || ''}`);
+                action[key] = this.scpId(scpCmd) + (found[2] || '');
+                if (action.label !== undefined) {
+                    action.label = this.id + ':' + action[key];
+                }
+                return true;
+            }
+
+            for (let k in actions) {
+                changed = checkUpgrade(actions[k], changed);
+            }
+
+            for (let k in releaseActions) {
+                changed = checkUpgrade(releaseActions[k], changed);
+            }
+
+            for (let k in feedbacks) {
+                changed = checkUpgrade(feedbacks[k], changed);
+            }
+
+            // Saved macros, sequences & snapshots hold action ids too
+            for (let macro of config.macros || []) {
+                macro.actions.forEach(action => changed = checkUpgrade(action, changed));
+            }
+            for (let seq of config.sequences || []) {
+                seq.steps.forEach(step => changed = checkUpgrade(step, changed));
+            }
+            for (let snap of config.snapshots || []) {
+                snap.values.forEach(value => changed = checkUpgrade(value, changed));
+            }
+
+            return changed;
+        })
     }
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/*
+// Dynamic variables for channel names, levels, on states & colors, plus scene & console info (see scenes.js)
+*/
+
+// Parameter endings that get a variable for each channel, and the variable's suffix
+const VAR_PARAMS = {
+	'Label/Name':  'name',
+	'Fader/Level': 'level',
+	'Fader/On':    'on',
+	'Label/Color': 'color'
+};
+
+module.exports = {
+
+	// Create the variable definitions from the loaded parameter file
+	initVariables() {
+
+		let variables = [
+			{label: 'Console Model', name: 'product_name'},
+			{label: 'Current Scene Number', name: 'scene_number'},
+			{label: 'Current Scene Name', name: 'scene_name'},
+			{label: 'Seconds Since Last Reply From Console', name: 'last_reply'},
+			{label: 'Active Console (Primary or Backup)', name: 'active_console'},
+			{label: 'Show Lock (Locked or Unlocked)', name: 'show_lock'}
+		];
+
+		this.selectorNames().forEach((name, i) => variables.push({label: `My Channel: ${name}`, name: `mych_${i + 1}`}));
+		Object.keys(this.getRawVars()).forEach(name => variables.push({label: `Raw SCP Reply: ${name}`, name: name}));
+
+		this.varCommands = {};
+
+		for (let cmd of this.scpCommands) {
+			let addr = cmd.Address.slice(cmd.Address.indexOf("/") + 1).split("/"); // e.g. ['InCh', 'Fader', 'Level']
+			let suffix = VAR_PARAMS[addr.slice(1).join("/")];
+
+			if (suffix == undefined || addr.length != 3) continue;
+
+			let chType = addr[0];
+			this.varCommands[this.scpId(cmd)] = {chType: chType.toLowerCase(), suffix: suffix};
+
+			for (let x = 1; x <= Math.max(cmd.X, 1); x++) {
+				variables.push({label: `${chType} ${x} ${suffix.charAt(0).toUpperCase() + suffix.slice(1)}`, name: `${chType.toLowerCase()}_${x}_${suffix}`});
+			}
+		}
+
+		this.setVariableDefinitions(variables);
+		this.setVariable('product_name', this.productName);
+		this.setVariable('active_console', (this.activeConsole == 'backup') ? 'Backup' : 'Primary');
+		this.setVariable('show_lock', this.isLocked() ? 'Locked' : 'Unlocked');
+		this.selectorNames().forEach((name, i) => this.setVariable(`mych_${i + 1}`, this.selectorChannel(i + 1)));
+	},
+
+
+	// Update a channel's variable when its value arrives in the dataStore
+	updateVariable(scpAction, iX, val) {
+
+		let varCmd = this.varCommands[scpAction];
+		if (varCmd == undefined) return;
+
+		switch(varCmd.suffix) {
+			case 'level':
+				val = this.formatDb(val);
+				break;
+			case 'on':
+				val = (val == 0) ? 'OFF' : 'ON';
+		}
+
+		this.setVariable(`${varCmd.chType}_${iX}_${varCmd.suffix}`, val);
+	},
+
+}
@@ -0,0 +1,203 @@
+/*
+// Built-in virtual SCP console, for programming & testing without a desk
+*/
+
+const NET = require('net');
+
+const VIRTUAL_HOST   = '127.0.0.1';
+const VIRTUAL_PORT   = 49280;
+const VIRTUAL_SCENES = 10;	// Scene memories the virtual console has stored
+const VIRTUAL_MODELS = {'CL/QL': 'CL5', 'TF': 'TF5'};
+
+module.exports = {
+
+	// Where to connect: the virtual console if it's turned on, otherwise the active real one
+	consoleHost() {
+		return (this.config.virtual) ? VIRTUAL_HOST : this.hostFor(this.activeConsole);
+	},
+
+
+	// Start the virtual console for the chosen model, calling back once it's listening
+	startVirtualConsole(cb) {
+
+		this.stopVirtualConsole();
+
+		let params = this.readParamFile(this.config.model);
+		let info   = this.readParamFile(this.config.model, false, true); // For prminfo, as a real console would send it
+
+		this.virtual = {
+			model:   this.config.model,
+			product: VIRTUAL_MODELS[this.config.model],
+			params:  params.filter(cmd => cmd.Type != 'scene'),
+			scene:   params.find(cmd => cmd.Type == 'scene'),
+			info:    info.filter(cmd => cmd.Type != 'scene'),
+			infoScn: info.find(cmd => cmd.Type == 'scene'),
+			values:  {},
+			current: {a: 1, b: 1},	// Current scene in each bank (only 'a' on the CL/QL)
+			clients: []
+		};
+
+		let virtual = this.virtual;
+
+		this.virtualServer = NET.createServer((client) => {
+			let buffer = '';
+
+			virtual.clients.push(client);
+			client.on('data', (chunk) => {
+				let lines = (buffer + chunk).split("\x0A");
+				buffer = lines.pop();
+				lines.map(line => line.replace(/\r$/, '')).filter(line => line.trim() != '').forEach(line => this.virtualLine(virtual, client, line));
+			});
+			client.on('close', () => {
+				virtual.clients = virtual.clients.filter(c => c !== client);
+			});
+			client.on('error', () => {}); // Closed from the other end
+		});
+
+		this.virtualServer.on('error', (err) => {
+			if (err.code == 'EADDRINUSE') {
+				this.log('warn', `Port ${VIRTUAL_PORT} is already in use, connecting to the virtual console that's there`);
+			} else {
+				this.log('error', `Virtual console error: ${err.message}`);
+			}
+			delete this.virtualServer;
+			cb();
+		});
+
+		this.virtualServer.listen(VIRTUAL_PORT, VIRTUAL_HOST, () => {
+			this.log('info', `Virtual ${virtual.product} listening on ${VIRTUAL_HOST}:${VIRTUAL_PORT}`);
+			cb();
+		});
+	},
+
+
+	// Shut down the virtual console
+	stopVirtualConsole() {
+
+		if (this.virtualServer !== undefined) {
+			this.virtual.clients.forEach(client => client.destroy());
+			this.virtualServer.close();
+			delete this.virtualServer;
+		}
+		delete this.virtual;
+	},
+
+
+	// Answer one command line the way the console would
+	virtualLine(virtual, client, line) {
+
+		let tokens = this.parseLine(line);
+		let reply  = (text) => client.write(`${text}\n`);
+		let notify = (text) => virtual.clients.filter(c => c !== client).forEach(c => c.write(`NOTIFY ${text}\n`));
+
+		switch(tokens[0]) {
+			case 'devinfo':
+				if (tokens[1] == 'productname') {
+					reply(`OK devinfo productname "${virtual.product}"`);
+				} else {
+					reply(`ERROR devinfo InvalidArgument`);
+				}
+				return;
+
+			case 'get':
+			case 'set': {
+				let cmd = virtual.params.find(cmd => cmd.Address == tokens[1]);
+				let x   = parseInt(tokens[2]);
+				let y   = parseInt(tokens[3]);
+
+				if (cmd == undefined) {
+					reply(`ERROR ${tokens[0]} UnknownAddress`);
+					return;
+				}
+				if (isNaN(x) || isNaN(y) || x < 0 || x >= Math.max(cmd.X, 1) || y < 0 || y >= Math.max(cmd.Y, 1)) {
+					reply(`ERROR ${tokens[0]} InvalidArgument`);
+					return;
+				}
+				if (tokens[0] == 'set' && cmd.RW == 'r') {
+					reply(`ERROR set AccessDenied`);
+					return;
+				}
+
+				let key = `${cmd.Address}:${x}:${y}`;
+
+				if (tokens[0] == 'set') {
+					if (tokens[4] == undefined) {
+						reply(`ERROR set WrongFormat`);
+						return;
+					}
+					virtual.values[key] = (cmd.Type == 'string') ? tokens[4] :
+						Math.min(Math.max(parseInt(tokens[4]) || 0, parseInt(cmd.Min)), parseInt(cmd.Max));
+				}
+
+				let val  = (virtual.values[key] !== undefined) ? virtual.values[key] :
+					(cmd.Type == 'string') ? cmd.Default : parseInt(cmd.Default);
+				let text = `${cmd.Address} ${x} ${y} ${this.virtualValue(cmd, val)}`;
+
+				reply(`OK ${tokens[0]} ${text}`);
+				if (tokens[0] == 'set') {
+					notify(`set ${text}`);
+				}
+				return;
+			}
+
+			case 'ssrecall_ex':
+			case 'sscurrent_ex':
+			case 'ssinfo_ex': {
+				let bank = (virtual.model == 'TF') ? `${tokens[1]}`.slice(-1) : 'a';
+				let num  = parseInt(tokens[2]);
+
+				if (virtual.scene == undefined || !`${tokens[1]}`.startsWith(virtual.scene.Address) || virtual.current[bank] == undefined) {
+					reply(`ERROR ${tokens[0]} UnknownAddress`);
+					return;
+				}
+
+				if (tokens[0] == 'sscurrent_ex') {
+					reply(`OK sscurrent_ex ${tokens[1]} ${virtual.current[bank]}`);
+					return;
+				}
+				if (isNaN(num) || num < 1 || num > VIRTUAL_SCENES) {
+					reply(`ERROR ${tokens[0]} InvalidArgument`);
+					return;
+				}
+				if (tokens[0] == 'ssinfo_ex') {
+					reply(`OK ssinfo_ex ${tokens[1]} ${num} "Scene ${num}" ""`);
+					return;
+				}
+
+				virtual.current[bank] = num;
+				reply(`OK ssrecall_ex ${tokens[1]} ${num}`);
+				notify(`sscurrent_ex ${tokens[1]} ${num}`);
+				return;
+			}
+
+			case 'prminfo':
+			case 'scninfo': {
+				let idx = parseInt(tokens[1]);
+				let cmd = (tokens[0] == 'prminfo') ? virtual.info[idx] : (idx == 0) ? virtual.infoScn : undefined;
+
+				if (cmd == undefined) {
+					reply(`ERROR ${tokens[0]} InvalidArgument`);
+					return;
+				}
+				reply(`OK ${tokens[0]} ${idx} "${cmd.Address}" ${cmd.X} ${cmd.Y} ${cmd.Min} ${cmd.Max} ${(cmd.Type == 'string') ? `"${cmd.Default}"` : cmd.Default} "${cmd.Unit || ''}" ${cmd.Type} ${cmd.UI} ${cmd.RW} ${cmd.Scale}`);
+				return;
+			}
+
+			default:
+				reply(`ERROR ${tokens[0]} UnknownCommand`);
+		}
+	},
+
+
+	// A value as the console sends it: strings quoted, levels with their dB text
+	virtualValue(cmd, val) {
+
+		if (cmd.Type == 'string') {
+			return `"${`${val}`.replace(/(["\\])/g, '\\$1')}"`;
+		}
+		if (this.isDb(cmd)) {
+			return `${val} "${this.formatDb(this.rawToDb(cmd, val))}"`;
+		}
+		return `${val}`;
+	}
+}